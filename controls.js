@@ -1,13 +1,17 @@
 // /js/ui/controls.js
 // Builds the right-side controls panel.
 // API:
-//   initControls(panelEl, { mode, onParamChange })
+//   initControls(panelEl, { mode, onParamChange, onLoadImpulse, onResetImpulse })
+//     onLoadImpulse(file): user picked a WAV to use as the reverb IR
+//     onResetImpulse():    go back to the generated reverb IR
 // Returns:
-//   { setMode(mode), getParams() }
+//   { setMode(mode), getParams(), setImpulseLabel(text) }
 
 export function initControls(panelEl, opts = {}) {
   let mode = opts.mode || 'instrument';
   const onParamChange = typeof opts.onParamChange === 'function' ? opts.onParamChange : () => {};
+  const onLoadImpulse = typeof opts.onLoadImpulse === 'function' ? opts.onLoadImpulse : () => {};
+  const onResetImpulse = typeof opts.onResetImpulse === 'function' ? opts.onResetImpulse : () => {};
 
   // Shared param state (both modes can read/write these)
   const params = {
@@ -24,6 +28,11 @@ export function initControls(panelEl, opts = {}) {
     formantShift: 0,   // semitones (small range recommended)
     brightness: 0,     // -1..+1 (tilt EQ)
     reverbMix: 0.12,   // 0..1
+    // Reverb bus (shared, see engine.reverb)
+    reverbSize: 0.5,     // 0..1
+    reverbDecay: 1.8,    // seconds (RT60)
+    reverbPreDelay: 0.02, // seconds
+    reverbDamping: 0.5,  // 0 (bright) .. 1 (dark)
     // Piano extras (kept for future use)
     velocityCurve: 0.0 // -1..+1
   };
@@ -49,12 +58,25 @@ export function initControls(panelEl, opts = {}) {
     slider('Reverb Mix', 'reverbMix', 0, 1, 0.01, params.reverbMix, (v)=>params.reverbMix = +v),
   ], 'instr');
 
+  const impulseLabel = note('IR: generated');
+  const reverbSection = makeSection('Reverb', [
+    slider('Size', 'reverbSize', 0, 1, 0.01, params.reverbSize, (v)=>params.reverbSize = +v),
+    slider('Decay (s)', 'reverbDecay', 0.1, 8, 0.05, params.reverbDecay, (v)=>params.reverbDecay = +v),
+    slider('Pre-delay (ms)', 'reverbPreDelay', 0, 250, 1, params.reverbPreDelay*1000, (v)=>params.reverbPreDelay = v/1000),
+    slider('Damping', 'reverbDamping', 0, 1, 0.01, params.reverbDamping, (v)=>params.reverbDamping = +v),
+    buttonRow([
+      fileButton('Load IR (WAV)…', 'audio/*', onLoadImpulse),
+      button('Generated IR', onResetImpulse),
+    ]),
+    impulseLabel,
+  ], 'reverb');
+
   const pianoSection = makeSection('Piano (MIDI)', [
     slider('Velocity Curve', 'velocityCurve', -1, 1, 0.01, params.velocityCurve, (v)=>params.velocityCurve = +v),
     note('Tip: use Settings → Quantize for grid, and “Extract MIDI” to generate notes from the selection.')
   ], 'piano');
 
-  panelEl.append(instrumentSection, pianoSection);
+  panelEl.append(instrumentSection, reverbSection, pianoSection);
 
   // Show proper section initially
   setMode(mode);
@@ -66,6 +88,7 @@ export function initControls(panelEl, opts = {}) {
   function setMode(nextMode) {
     mode = nextMode;
     instrumentSection.style.display = mode === 'instrument' ? '' : 'none';
+    reverbSection.style.display = mode === 'instrument' ? '' : 'none';
     pianoSection.style.display = mode === 'piano' ? '' : 'none';
     // Push current params for the new mode
     onParamChange({ ...params });
@@ -75,6 +98,10 @@ export function initControls(panelEl, opts = {}) {
     return { ...params };
   }
 
+  function setImpulseLabel(text) {
+    impulseLabel.textContent = `IR: ${text}`;
+  }
+
   // ---- UI factories ----
   function makeSection(title, children, id) {
     const wrap = document.createElement('section');
@@ -96,6 +123,37 @@ export function initControls(panelEl, opts = {}) {
     return p;
   }
 
+  function button(labelText, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn';
+    btn.textContent = labelText;
+    btn.addEventListener('click', () => onClick());
+    return btn;
+  }
+
+  function fileButton(labelText, accept, onFile) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.hidden = true;
+    input.addEventListener('change', () => {
+      const file = input.files?.[0];
+      if (file) onFile(file);
+      input.value = '';
+    });
+    const wrap = document.createElement('span');
+    wrap.append(button(labelText, () => input.click()), input);
+    return wrap;
+  }
+
+  function buttonRow(buttons) {
+    const row = document.createElement('div');
+    row.className = 'control-row buttons';
+    row.append(...buttons);
+    return row;
+  }
+
   function slider(labelText, key, min, max, step, value, assignFn) {
     const row = document.createElement('div');
     row.className = 'control-row';
@@ -139,5 +197,5 @@ export function initControls(panelEl, opts = {}) {
     return v.toFixed(3).replace(/0+$/,'').replace(/\.$/,'');
   }
 
-  return { setMode, getParams };
+  return { setMode, getParams, setImpulseLabel };
 }
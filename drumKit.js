@@ -0,0 +1,123 @@
+// /js/audio/drumKit.js
+// Tiny synthesized GM drum kit for auditioning beatbox transcriptions (no samples needed).
+//
+// API:
+//   createDrumKit() -> kit
+// kit:
+//   noteOn(midi, velocity = 0.9, whenSec?)   // GM percussion note numbers (channel 10 map)
+//   noteOff(midi, whenSec?)                  // no-op: every voice is a one-shot
+//   setParams({ level })                     // output level 0..1.5
+//   connect(node) / disconnect() / dispose()
+//
+// Notes:
+// - Kick: sine with a fast pitch drop; snare: filtered noise plus a short body tone;
+//   hats: high-passed noise (46 open, 42/44 closed); 37/39 side stick and clap are short
+//   noise clicks; 41–50 toms are pitched thumps. Anything else plays the side stick.
+// - Same shape as the piano/granular instruments so the keyboard can play it directly.
+
+import { getAudioContext } from './engine.js';
+
+export function createDrumKit() {
+  const ctx = getAudioContext();
+  const out = ctx.createGain();
+  out.gain.value = 0.9;
+  const noise = makeNoiseBuffer(ctx, 1);
+
+  function noteOn(midi, velocity = 0.9, when = ctx.currentTime) {
+    const t = Math.max(ctx.currentTime, when);
+    const v = clamp(velocity, 0.01, 1);
+    if (midi === 35 || midi === 36) kick(t, v);
+    else if (midi === 38 || midi === 40) snare(t, v);
+    else if (midi === 42 || midi === 44) hat(t, v, 0.05);
+    else if (midi === 46) hat(t, v, 0.35);
+    else if (midi === 39) click(t, v, 1200, 0.12);
+    else if (midi >= 41 && midi <= 50) tom(t, v, 80 + (midi - 41) * 18);
+    else click(t, v, 2500, 0.04);
+  }
+
+  function noteOff() {}
+
+  function kick(t, v) {
+    const osc = ctx.createOscillator();
+    const g = ctx.createGain();
+    osc.frequency.setValueAtTime(150, t);
+    osc.frequency.exponentialRampToValueAtTime(45, t + 0.12);
+    envelope(g, t, v, 0.35);
+    osc.connect(g).connect(out);
+    osc.start(t);
+    osc.stop(t + 0.4);
+    osc.onended = () => { try { g.disconnect(); } catch {} };
+  }
+
+  function snare(t, v) {
+    noiseHit(t, v * 0.8, 'bandpass', 1800, 0.18);
+    const osc = ctx.createOscillator();
+    const g = ctx.createGain();
+    osc.frequency.setValueAtTime(190, t);
+    envelope(g, t, v * 0.5, 0.08);
+    osc.connect(g).connect(out);
+    osc.start(t);
+    osc.stop(t + 0.1);
+    osc.onended = () => { try { g.disconnect(); } catch {} };
+  }
+
+  function hat(t, v, decay) {
+    noiseHit(t, v * 0.5, 'highpass', 7000, decay);
+  }
+
+  function click(t, v, hz, decay) {
+    noiseHit(t, v * 0.7, 'bandpass', hz, decay);
+  }
+
+  function tom(t, v, hz) {
+    const osc = ctx.createOscillator();
+    const g = ctx.createGain();
+    osc.frequency.setValueAtTime(hz * 1.5, t);
+    osc.frequency.exponentialRampToValueAtTime(hz, t + 0.08);
+    envelope(g, t, v * 0.8, 0.3);
+    osc.connect(g).connect(out);
+    osc.start(t);
+    osc.stop(t + 0.35);
+    osc.onended = () => { try { g.disconnect(); } catch {} };
+  }
+
+  function noiseHit(t, v, type, hz, decay) {
+    const src = ctx.createBufferSource();
+    src.buffer = noise;
+    const filter = ctx.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = hz;
+    const g = ctx.createGain();
+    envelope(g, t, v, decay);
+    src.connect(filter).connect(g).connect(out);
+    src.start(t, Math.random() * 0.5);
+    src.stop(t + decay + 0.05);
+    src.onended = () => { try { filter.disconnect(); g.disconnect(); } catch {} };
+  }
+
+  function setParams(next = {}) {
+    if (typeof next.level === 'number') out.gain.value = clamp(next.level, 0, 1.5);
+  }
+
+  function connect(node) { out.connect(node); }
+  function disconnect() { try { out.disconnect(); } catch {} }
+  function dispose() { disconnect(); }
+
+  return { noteOn, noteOff, setParams, connect, disconnect, dispose };
+}
+
+// Fast attack, exponential decay to silence
+function envelope(g, t, v, decay) {
+  g.gain.setValueAtTime(0.0001, t);
+  g.gain.exponentialRampToValueAtTime(Math.max(0.001, v), t + 0.002);
+  g.gain.exponentialRampToValueAtTime(0.0001, t + decay);
+}
+
+function makeNoiseBuffer(ctx, seconds) {
+  const buf = ctx.createBuffer(1, Math.floor(ctx.sampleRate * seconds), ctx.sampleRate);
+  const data = buf.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  return buf;
+}
+
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
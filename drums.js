@@ -0,0 +1,221 @@
+// /js/audio/drums.js
+// Beatbox → drums: onset detection, per-hit spectral features and a kick/snare/hi-hat/other
+// classifier that emits General MIDI percussion notes.
+//
+// API:
+//   await segmentToDrums({
+//     audioBuffer, start, end,
+//     sensitivity: { kick: 0.5, snare: 0.5, hihat: 0.5, other: 0.5 },  // 0 = never emit that class
+//     onsetSensitivity: 0.6,            // floored at MIN_ONSET_SENSITIVITY (0 would find no onsets)
+//     gateDb: -40, adaptiveGate: true,
+//     quantize: '1/16', swing: 0, quantizeStrength: 1, bpm: 0,        // as in segmentToMidi()
+//     signal, onProgress
+//   }) -> { notes: [{ pitch, tOn, tOff, velocity, drum }], hits, tempo, counts }
+//   hits: [{ t, drum, scores: { kick, snare, hihat }, features }] for every detected onset,
+//         including the ones the sensitivities dropped (drum: null)
+//   counts: { kick, snare, hihat, other } emitted notes per class
+//
+//   DRUM_NOTES: { kick: 36, snare: 38, hihat: 42, other: 37 }   // GM: bass drum 1, snare 1, closed hat, side stick
+//   classifyHit(features) -> { kick, snare, hihat }                // 0..1 scores
+//
+// Notes:
+// - Onsets come from the pitch worker's onset detector ('onsets' request, no pitch pass).
+// - Features are taken from a ~46 ms window at each onset. Meyda (index.html loads it as a
+//   global) supplies the spectrum, centroid, flatness and zero-crossing rate when present;
+//   otherwise the shared FFT (fft.js) computes the same quantities with Meyda's definitions.
+// - Band ratios (energy below 200 Hz, above 6 kHz) and the decay time do most of the work:
+//   beatbox kicks are low and boomy, hats are bright and short, snares are noisy in between.
+// - A class's sensitivity lowers both the score its hits need and the level (relative to the
+//   loudest hit) below which they're dropped. Hits no class claims become 'other'.
+// - Drum notes are short (DRUM_NOTE_SEC); only their starts are quantized.
+
+import { detectOnsets, quantizeNotes } from './pitchToMidi.js';
+import { estimateTempo } from './tempo.js';
+import { createFFT } from './fft.js';
+
+export const DRUM_NOTES = { kick: 36, snare: 38, hihat: 42, other: 37 };
+
+const FEATURE_SIZE = 2048;
+const PRE_ONSET_SEC = 0.005;
+const DECAY_DROP_DB = 20;
+const DECAY_MAX_SEC = 0.4;
+const DRUM_NOTE_SEC = 0.1;
+const VELOCITY_SPAN_DB = 30;
+const MIN_ONSET_SENSITIVITY = 0.05;
+
+const featureFFT = createFFT(FEATURE_SIZE);
+
+export async function segmentToDrums({
+  audioBuffer,
+  start = 0,
+  end = audioBuffer ? audioBuffer.duration : 0,
+  sensitivity = {},
+  onsetSensitivity = 0.6,
+  gateDb = -40,
+  adaptiveGate = true,
+  quantize = '1/16',
+  swing = 0,
+  quantizeStrength = 1,
+  bpm = 0,
+  signal,
+  onProgress
+}) {
+  const sens = { kick: 0.5, snare: 0.5, hihat: 0.5, other: 0.5, ...sensitivity };
+  const res = await detectOnsets({
+    audioBuffer, start, end, gateDb, adaptiveGate, signal, onProgress,
+    onsetSensitivity: clamp(+onsetSensitivity || 0, MIN_ONSET_SENSITIVITY, 1),
+  });
+  const { mono, sr } = res;
+
+  const hits = Array.from(res.onsets, (t, i) => {
+    const next = i + 1 < res.onsets.length ? res.onsets[i + 1] : mono.length / sr;
+    const features = hitFeatures(mono, sr, t, next);
+    return { t, drum: null, scores: classifyHit(features), features };
+  });
+
+  // Level gate is relative to the loudest hit
+  const maxDb = hits.reduce((m, h) => Math.max(m, h.features.peakDb), -Infinity);
+  let notes = [];
+  for (const h of hits) {
+    let best = 'kick';
+    for (const k of ['snare', 'hihat']) if (h.scores[k] > h.scores[best]) best = k;
+    const drum = h.scores[best] >= minScore(sens[best]) ? best : 'other';
+    const s = clamp(+sens[drum] || 0, 0, 1);
+    if (s <= 0 || h.features.peakDb < maxDb - (6 + 42 * s)) continue;
+    h.drum = drum;
+    const x = clamp((h.features.peakDb - (maxDb - VELOCITY_SPAN_DB)) / VELOCITY_SPAN_DB, 0, 1);
+    notes.push({
+      pitch: DRUM_NOTES[drum],
+      tOn: h.t,
+      tOff: h.t + DRUM_NOTE_SEC,
+      velocity: 0.35 + 0.65 * x,
+      drum,
+    });
+  }
+
+  const tempo = estimateTempo({
+    novelty: res.novelty,
+    frameTimes: res.frameTimes,
+    hopSec: res.hopSec,
+    notes,
+    bpm
+  }) || { bpm: bpm > 0 ? bpm : 120, offsetSec: 0, confidence: 0, detected: false };
+
+  notes = quantizeNotes(notes, quantize, {
+    bpm: tempo.bpm,
+    offsetSec: tempo.offsetSec,
+    swing,
+    strength: quantizeStrength,
+    lengthMode: 'keep'
+  });
+  for (const n of notes) n.tOn = Math.max(0, n.tOn), n.tOff = n.tOn + DRUM_NOTE_SEC;
+
+  const counts = { kick: 0, snare: 0, hihat: 0, other: 0 };
+  for (const n of notes) counts[n.drum]++;
+  return { notes, hits, tempo, counts };
+}
+
+export function classifyHit({ lowRatio, highRatio, centroidHz, flatness, decaySec }) {
+  const short = 1 - ramp(decaySec, 0.08, 0.25);
+  return {
+    kick: ramp(lowRatio, 0.25, 0.6) * (1 - ramp(centroidHz, 1500, 4000)),
+    snare: ramp(flatness, 0.15, 0.4) * ramp(centroidHz, 800, 2000)
+      * (1 - ramp(highRatio, 0.55, 0.8)) * (1 - ramp(lowRatio, 0.35, 0.6)),
+    hihat: ramp(highRatio, 0.2, 0.5) * ramp(centroidHz, 3500, 7000)
+      * (1 - ramp(lowRatio, 0.15, 0.35)) * (0.5 + 0.5 * short),
+  };
+}
+
+// Score a hit needs to count as a class: 0.9 at sensitivity 0 .. 0 at 1
+function minScore(s) {
+  return 0.9 * (1 - clamp(+s || 0, 0, 1));
+}
+
+function hitFeatures(x, sr, t, tNext) {
+  const start = Math.max(0, Math.round((t - PRE_ONSET_SEC) * sr));
+  const frame = new Float32Array(FEATURE_SIZE);
+  frame.set(x.subarray(start, start + FEATURE_SIZE));
+
+  const { spectrum, centroidHz, flatness, zcr } = spectralFeatures(frame, sr);
+  let total = 0, low = 0, high = 0;
+  const binHz = sr / FEATURE_SIZE;
+  for (let k = 0; k < spectrum.length; k++) {
+    const p = spectrum[k] * spectrum[k];
+    total += p;
+    if (k * binHz < 200) low += p;
+    else if (k * binHz > 6000) high += p;
+  }
+
+  // Peak level and the time it takes to fall DECAY_DROP_DB below it (5 ms blocks)
+  const block = Math.max(1, Math.round(0.005 * sr));
+  const stop = Math.min(x.length, Math.round(Math.min(tNext, t + DECAY_MAX_SEC) * sr));
+  let peakDb = -120, peakAt = start, decayEnd = stop;
+  for (let i = start; i + block <= stop; i += block) {
+    const db = levelDb(x, i, block);
+    if (db > peakDb) { peakDb = db; peakAt = i; decayEnd = stop; }
+    else if (decayEnd === stop && db < peakDb - DECAY_DROP_DB) decayEnd = i;
+  }
+
+  return {
+    lowRatio: total > 0 ? low / total : 0,
+    highRatio: total > 0 ? high / total : 0,
+    centroidHz,
+    flatness,
+    zcr,
+    peakDb,
+    decaySec: (decayEnd - peakAt) / sr,
+  };
+}
+
+// { spectrum (amplitude), centroidHz, flatness, zcr (crossings per sample) }
+function spectralFeatures(frame, sr) {
+  const M = globalThis.Meyda;
+  if (M && typeof M.extract === 'function') {
+    try {
+      M.bufferSize = frame.length;
+      M.sampleRate = sr;
+      M.windowingFunction = 'hanning';
+      const f = M.extract(['amplitudeSpectrum', 'spectralCentroid', 'spectralFlatness', 'zcr'], frame);
+      if (f && f.amplitudeSpectrum) {
+        return {
+          spectrum: f.amplitudeSpectrum,
+          centroidHz: (f.spectralCentroid || 0) * sr / frame.length,
+          flatness: f.spectralFlatness || 0,
+          zcr: (f.zcr || 0) / frame.length,
+        };
+      }
+    } catch {}
+  }
+
+  const n = frame.length;
+  const re = new Float64Array(n), im = new Float64Array(n);
+  for (let i = 0; i < n; i++) re[i] = frame[i] * 0.5 * (1 - Math.cos(2 * Math.PI * i / (n - 1)));
+  featureFFT.forward(re, im);
+  const bins = n >> 1;
+  const spectrum = new Float32Array(bins);
+  let sum = 0, weighted = 0, logSum = 0;
+  for (let k = 0; k < bins; k++) {
+    const a = Math.hypot(re[k], im[k]);
+    spectrum[k] = a;
+    sum += a;
+    weighted += k * a;
+    logSum += Math.log(a + 1e-12);
+  }
+  let crossings = 0;
+  for (let i = 1; i < n; i++) if ((frame[i - 1] >= 0) !== (frame[i] >= 0)) crossings++;
+  return {
+    spectrum,
+    centroidHz: sum > 0 ? (weighted / sum) * sr / n : 0,
+    flatness: sum > 0 ? Math.exp(logSum / bins) / (sum / bins) : 0,
+    zcr: crossings / n,
+  };
+}
+
+function levelDb(x, off, size) {
+  let s = 0;
+  for (let i = off; i < off + size; i++) s += x[i] * x[i];
+  return 10 * Math.log10(s / size + 1e-12);
+}
+
+function ramp(v, a, b) { return clamp((v - a) / (b - a), 0, 1); }
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
@@ -0,0 +1,203 @@
+// /js/audio/expression.js
+// Per-note expression from the f0 contour: vibrato (rate, depth) and glides into/out of notes.
+//
+// API:
+//   attachExpression(notes) -> notes   // sets note.expression from note.contour (see pitchToMidi.js)
+//     note.expression = {
+//       vibrato: { rateHz, depthCents, startSec } | null,  // depth = half the peak-to-peak swing;
+//                                                          // startSec relative to tOn
+//       glideIn:  { fromSemis, durSec } | null,            // pitch the note slid in from (relative to note.pitch)
+//       glideOut: { toSemis, durSec } | null               // pitch it slid away to at the end
+//     }
+//   vibratoFreeContour(contour, vibrato) -> contour   // vibrato averaged out (glides kept)
+//   describeExpression(expression) -> 'vibrato 5.6 Hz ±35¢, glide in from -2.0 st' | ''
+//
+// Notes:
+// - The contour is resampled to a 10 ms grid, the slow pitch movement (moving average over
+//   TREND_SEC) is removed and the residual's autocorrelation peak between 3 and 9 Hz gives
+//   the rate. The depth is the amplitude of a line + sinusoid (at that rate) least-squares fit
+//   to the contour from the vibrato's start on. It counts as vibrato only with at least
+//   MIN_CYCLES cycles, a clear periodicity and a depth between 10 and 150 cents.
+// - Glides compare the first/last frames with the note's steady pitch (median of its middle
+//   half) and measure how long the pitch takes to settle; vibrato swings don't count.
+
+const GRID_SEC = 0.01;
+const TREND_SEC = 0.25;          // longer than one vibrato cycle at the slowest rate
+const RATE_MIN_HZ = 3;
+const RATE_MAX_HZ = 9;
+const MIN_CYCLES = 2;
+const MIN_PERIODICITY = 0.35;    // normalised autocorrelation at the vibrato period
+const DEPTH_MIN_CENTS = 10;
+const DEPTH_MAX_CENTS = 150;
+const GLIDE_MIN_SEMIS = 0.5;
+const GLIDE_MIN_SEC = 0.03;
+
+export function attachExpression(notes) {
+  for (const n of notes) {
+    const c = n.contour;
+    if (!c || c.t.length < 3) {
+      n.expression = { vibrato: null, glideIn: null, glideOut: null };
+      continue;
+    }
+    const vibrato = detectVibrato(c);
+    const swing = vibrato ? vibrato.depthCents / 100 : 0;
+    n.expression = { vibrato, ...detectGlides(c, swing) };
+  }
+  return notes;
+}
+
+export function vibratoFreeContour(contour, vibrato) {
+  if (!contour || !vibrato) return contour;
+  const half = 0.5 / vibrato.rateHz;   // one cycle centred on each frame
+  const { t, semis } = contour;
+  const out = new Float32Array(semis.length);
+  for (let i = 0, lo = 0, hi = 0, sum = 0; i < t.length; i++) {
+    while (hi < t.length && t[hi] <= t[i] + half) sum += semis[hi++];
+    while (t[lo] < t[i] - half) sum -= semis[lo++];
+    out[i] = sum / (hi - lo);
+  }
+  return { t, semis: out };
+}
+
+export function describeExpression(e) {
+  if (!e) return '';
+  const parts = [];
+  if (e.vibrato) parts.push(`vibrato ${e.vibrato.rateHz.toFixed(1)} Hz ±${Math.round(e.vibrato.depthCents)}¢`);
+  if (e.glideIn) parts.push(`glide in from ${signed(e.glideIn.fromSemis)} st`);
+  if (e.glideOut) parts.push(`glide out to ${signed(e.glideOut.toSemis)} st`);
+  return parts.join(', ');
+}
+
+function detectVibrato({ t, semis }) {
+  const dur = t[t.length - 1] - t[0];
+  if (dur < MIN_CYCLES / RATE_MAX_HZ) return null;
+
+  // Uniform grid, then remove the slow movement
+  const n = Math.floor(dur / GRID_SEC) + 1;
+  const x = new Float64Array(n);
+  for (let i = 0, j = 0; i < n; i++) {
+    const ti = t[0] + i * GRID_SEC;
+    while (j < t.length - 2 && t[j + 1] < ti) j++;
+    const span = t[j + 1] - t[j];
+    const a = span > 0 ? clamp((ti - t[j]) / span, 0, 1) : 0;
+    x[i] = semis[j] + a * (semis[j + 1] - semis[j]);
+  }
+  const d = subtractTrend(x, Math.round(TREND_SEC / GRID_SEC / 2));
+
+  let energy = 0;
+  for (let i = 0; i < n; i++) energy += d[i] * d[i];
+  if (!(energy > 0)) return null;
+
+  const lagMin = Math.floor(1 / RATE_MAX_HZ / GRID_SEC);
+  const lagMax = Math.min(Math.ceil(1 / RATE_MIN_HZ / GRID_SEC), Math.floor(n / MIN_CYCLES));
+  if (lagMax <= lagMin + 1) return null;
+  const r = new Float64Array(lagMax + 2);
+  for (let lag = lagMin - 1; lag <= lagMax + 1; lag++) {
+    let s = 0;
+    for (let i = 0; i + lag < n; i++) s += d[i] * d[i + lag];
+    r[lag] = s / energy * n / (n - lag);
+  }
+  let best = -1;
+  for (let lag = lagMin; lag <= lagMax; lag++) {
+    if (r[lag] >= r[lag - 1] && r[lag] >= r[lag + 1] && (best < 0 || r[lag] > r[best])) best = lag;
+  }
+  if (best < 0 || r[best] < MIN_PERIODICITY) return null;
+
+  const den = r[best - 1] - 2 * r[best] + r[best + 1];
+  const shift = den !== 0 ? clamp(0.5 * (r[best - 1] - r[best + 1]) / den, -0.5, 0.5) : 0;
+  const rateHz = 1 / ((best + shift) * GRID_SEC);
+  if (dur * rateHz < MIN_CYCLES) return null;
+
+  // Onset: where the swing (RMS over one cycle) first reaches half the note's average, i.e.
+  // about half the window has vibrato in it - unless it's there from the first window on
+  const cycle = Math.max(1, Math.round(1 / rateHz / GRID_SEC));
+  const target = 0.5 * energy / n;
+  let from = 0;
+  for (let i = 0, s = 0; i < n; i++) {
+    s += d[i] * d[i];
+    if (i >= cycle) s -= d[i - cycle] * d[i - cycle];
+    if (i >= cycle - 1 && s / cycle >= target) {
+      from = i === cycle - 1 ? 0 : i - (cycle >> 1);
+      break;
+    }
+  }
+  const startSec = t[0] + from * GRID_SEC;
+
+  const depthCents = sineAmplitude(x, from, rateHz) * 100;
+  if (depthCents < DEPTH_MIN_CENTS || depthCents > DEPTH_MAX_CENTS) return null;
+  return { rateHz, depthCents, startSec };
+}
+
+function detectGlides({ t, semis }, swing) {
+  const n = semis.length;
+  const mid = Array.from(semis.subarray(Math.floor(n / 4), Math.max(Math.floor(n / 4) + 1, Math.ceil(3 * n / 4))));
+  mid.sort((a, b) => a - b);
+  const centre = mid[mid.length >> 1];
+  const away = Math.max(GLIDE_MIN_SEMIS, 1.5 * swing);
+  const settled = Math.max(0.3, 1.2 * swing);
+
+  let glideIn = null, glideOut = null;
+  if (Math.abs(semis[0] - centre) >= away) {
+    let k = 0;
+    while (k < n - 1 && Math.abs(semis[k] - centre) >= settled) k++;
+    if (t[k] - t[0] >= GLIDE_MIN_SEC) glideIn = { fromSemis: semis[0], durSec: t[k] - t[0] };
+  }
+  if (Math.abs(semis[n - 1] - centre) >= away) {
+    let k = n - 1;
+    while (k > 0 && Math.abs(semis[k] - centre) >= settled) k--;
+    if (t[n - 1] - t[k] >= GLIDE_MIN_SEC) glideOut = { toSemis: semis[n - 1], durSec: t[n - 1] - t[k] };
+  }
+  return { glideIn, glideOut };
+}
+
+// x minus its centred moving average (window 2·half + 1, shrinking at the edges)
+function subtractTrend(x, half) {
+  const n = x.length;
+  const prefix = new Float64Array(n + 1);
+  for (let i = 0; i < n; i++) prefix[i + 1] = prefix[i] + x[i];
+  const d = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const lo = Math.max(0, i - half), hi = Math.min(n, i + half + 1);
+    d[i] = x[i] - (prefix[hi] - prefix[lo]) / (hi - lo);
+  }
+  return d;
+}
+
+// Amplitude of the rateHz sinusoid in x[from..]: least-squares fit of line + sinusoid over
+// whole cycles, so neither the drift nor the rest of the residual leaks into the depth
+function sineAmplitude(x, from, rateHz) {
+  const avail = x.length - from;
+  const cycles = Math.floor(avail * GRID_SEC * rateHz);
+  const len = cycles >= 1 ? Math.min(avail, Math.round(cycles / rateHz / GRID_SEC)) : avail;
+  const w = 2 * Math.PI * rateHz * GRID_SEC;
+  const y = x.subarray(from, from + len);
+  const cos = new Float64Array(len), sin = new Float64Array(len);
+  for (let i = 0; i < len; i++) { cos[i] = Math.cos(w * i); sin[i] = Math.sin(w * i); }
+  // Regress the line out of the data and both basis functions, then solve the 2×2 rest
+  const ry = lineResidual(y), rc = lineResidual(cos), rs = lineResidual(sin);
+  let cc = 0, ss = 0, cs = 0, cy = 0, sy = 0;
+  for (let i = 0; i < len; i++) {
+    cc += rc[i] * rc[i]; ss += rs[i] * rs[i]; cs += rc[i] * rs[i];
+    cy += rc[i] * ry[i]; sy += rs[i] * ry[i];
+  }
+  const det = cc * ss - cs * cs;
+  if (!(det > 0)) return 0;
+  return Math.hypot((cy * ss - sy * cs) / det, (sy * cc - cy * cs) / det);
+}
+
+function lineResidual(y) {
+  const n = y.length;
+  const mi = (n - 1) / 2;
+  let my = 0;
+  for (let i = 0; i < n; i++) my += y[i];
+  my /= n;
+  let sxy = 0, sxx = 0;
+  for (let i = 0; i < n; i++) { sxy += (i - mi) * (y[i] - my); sxx += (i - mi) * (i - mi); }
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const out = new Float64Array(n);
+  for (let i = 0; i < n; i++) out[i] = y[i] - my - slope * (i - mi);
+  return out;
+}
+
+function signed(v) { return (v > 0 ? '+' : '') + v.toFixed(1); }
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
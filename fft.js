@@ -0,0 +1,51 @@
+// /js/audio/fft.js
+// Radix-2 complex FFT shared by the pitch worker and the drum features.
+//
+// API:
+//   createFFT(n) -> { n, forward(re, im) }   // n a power of two
+//   forward(re, im): in-place forward transform (e^-iωt, unscaled) of two length-n arrays
+//
+// Notes:
+// - Twiddles and the bit-reversal table are computed once per instance, so keep one per size.
+
+export function createFFT(n) {
+  if (!(n >= 1) || (n & (n - 1))) throw new Error('createFFT: size must be a power of two');
+  const levels = Math.round(Math.log2(n));
+  const cos = new Float64Array(n >> 1);
+  const sin = new Float64Array(n >> 1);
+  for (let i = 0; i < (n >> 1); i++) {
+    cos[i] = Math.cos(2 * Math.PI * i / n);
+    sin[i] = -Math.sin(2 * Math.PI * i / n);
+  }
+  const rev = new Uint32Array(n);
+  for (let i = 0; i < n; i++) {
+    let r = 0;
+    for (let b = 0, v = i; b < levels; b++, v >>= 1) r = (r << 1) | (v & 1);
+    rev[i] = r;
+  }
+
+  function forward(re, im) {
+    for (let i = 0; i < n; i++) {
+      const j = rev[i];
+      if (j > i) {
+        let t = re[i]; re[i] = re[j]; re[j] = t;
+        t = im[i]; im[i] = im[j]; im[j] = t;
+      }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+      const half = size >> 1;
+      const step = n / size;
+      for (let start = 0; start < n; start += size) {
+        for (let k = 0, t = 0; k < half; k++, t += step) {
+          const a = start + k, b = a + half;
+          const tr = re[b] * cos[t] - im[b] * sin[t];
+          const ti = re[b] * sin[t] + im[b] * cos[t];
+          re[b] = re[a] - tr; im[b] = im[a] - ti;
+          re[a] += tr; im[a] += ti;
+        }
+      }
+    }
+  }
+
+  return { n, forward };
+}
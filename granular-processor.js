@@ -4,10 +4,18 @@
 // Message API (via node.port.postMessage from the main thread):
 //  - { type: 'loadBuffer', payload: { sampleRate, channels: [Float32Array,...] } }
 //      * channels: 1 or 2 Float32Array(s) for the segment to synthesize
-//  - { type: 'noteOn', payload: { id, rate, gain } }   // id: any unique number
-//  - { type: 'noteOff', payload: { id } }
+//  - { type: 'noteOn', payload: { id, rate, gain, when } }   // id: any unique number
+//  - { type: 'noteOff', payload: { id, when } }
+//      * when: AudioContext time to act at; omitted or already past = now
+//  - { type: 'setRate', payload: { id, rate } }       // live pitch bend; running grains follow too
 //  - { type: 'setParams', payload: { grainSize, overlap, jitter, formantTilt, brightness } }
 //
+// Messages posted back to the main thread:
+//  - { type: 'stats', payload: { load, loadMax, quantumMs, voices, grains } }  (~4x per second)
+//      * load/loadMax: mean/peak render time as a fraction of the render-quantum budget
+//        (1.0 = rendering took as long as it plays, i.e. a dropout); the peak is taken over
+//        blocks of BLOCK_QUANTA quanta, not single quanta (see nowMs)
+//
 // Audio params (per render quantum):
 //  - grainSize (sec)   : default 0.04
 //  - overlap (0..0.95) : default 0.5
@@ -19,6 +27,8 @@
 //  - If no buffer is loaded, silence is produced.
 //  - Stereo supported if 2 channels provided; otherwise mono is copied to both.
 //  - "formantTilt" and "brightness" are light EQ shapers (1st-order filters).
+//  - Timed note-ons/offs wait in `pending` and apply at the start of the render quantum
+//    their time falls in, so they're at most one quantum (~3 ms) early.
 //
 // Integration:
 //  - In your main thread, create an AudioWorkletNode('granular-processor').
@@ -40,6 +50,15 @@ class RingRNG {
 }
 
 const TWO_PI = Math.PI * 2;
+const STATS_INTERVAL_SEC = 0.25;
+const BLOCK_QUANTA = 32;         // ~70-85 ms: timer resolution is small against the block budget
+
+// performance.now() isn't exposed in every AudioWorkletGlobalScope (Chrome's has none); Date.now()
+// ticks in 1 ms against a ~2.7 ms quantum, so single quanta read as 0, 1 or 2 ms. Summed over a
+// block of quanta the rounding averages out, so loads are only ever reported per block.
+const nowMs = (typeof performance !== 'undefined' && performance.now)
+  ? () => performance.now()
+  : () => Date.now();
 
 function hann(n, i) {
   // i in [0..n-1]
@@ -89,6 +108,7 @@ class GranularProcessor extends AudioWorkletProcessor {
 
     // State
     this.voices = new Map();
+    this.pending = [];   // timed noteOn/noteOff messages, sorted by payload.when
     this.maxVoices = 32;
     this.rng = new RingRNG(123456);
 
@@ -98,6 +118,9 @@ class GranularProcessor extends AudioWorkletProcessor {
     this.eqStateL = { lp: 0, hp: 0 };
     this.eqStateR = { lp: 0, hp: 0 };
 
+    // Render-load stats (see postStats)
+    this.stats = { elapsedSec: 0, busyMs: 0, budgetMs: 0, peak: 0, blockBusyMs: 0, blockQuanta: 0 };
+
     this.port.onmessage = (e) => this.handleMessage(e.data);
   }
 
@@ -120,18 +143,25 @@ class GranularProcessor extends AudioWorkletProcessor {
         this.sampleRateSrc = sampleRate || 44100;
         break;
       }
-      case 'noteOn': {
-        if (this.voices.size >= this.maxVoices) break;
-        const { id, rate = 1, gain = 0.9 } = payload || {};
-        if (id == null) break;
-        const v = new Voice(id, rate, gain);
-        this.voices.set(id, v);
+      case 'noteOn':
+      case 'noteOff': {
+        const when = payload?.when;
+        if (!(when > currentTime)) {
+          this.applyNote(type, payload);
+          break;
+        }
+        // After every message due at the same time or earlier, so sends keep their order
+        let i = this.pending.length;
+        while (i > 0 && this.pending[i - 1].payload.when > when) i--;
+        this.pending.splice(i, 0, { type, payload });
         break;
       }
-      case 'noteOff': {
-        const { id } = payload || {};
+      case 'setRate': {
+        const { id, rate } = payload || {};
         const v = this.voices.get(id);
-        if (v) v.on = false; // let grains decay naturally
+        if (!v || !(rate > 0)) break;
+        v.rate = rate;
+        for (const g of v.grains) g.rate = rate;
         break;
       }
       case 'setParams': {
@@ -144,6 +174,21 @@ class GranularProcessor extends AudioWorkletProcessor {
     }
   }
 
+  applyNote(type, payload) {
+    if (type === 'noteOn') {
+      if (this.voices.size >= this.maxVoices) return;
+      const { id, rate = 1, gain = 0.9 } = payload || {};
+      if (id == null) return;
+      this.voices.set(id, new Voice(id, rate, gain));
+    } else {
+      const { id } = payload || {};
+      const v = this.voices.get(id);
+      if (v) v.on = false; // let grains decay naturally
+      // Released before its start came round: it mustn't start later
+      else if (this.pending.length) this.pending = this.pending.filter(m => m.payload.id !== id);
+    }
+  }
+
   scheduleGrainForVoice(v, grainSizeSec, overlap, jitterSec) {
     if (this.length <= 0) return;
     const sr = this.sampleRateSrc;
@@ -181,6 +226,45 @@ class GranularProcessor extends AudioWorkletProcessor {
   }
 
   process(_inputs, outputs, parameters) {
+    const t0 = nowMs();
+    this.render(outputs, parameters);
+    const busy = nowMs() - t0;
+
+    const quantumMs = outputs[0][0].length / sampleRate * 1000;
+    const st = this.stats;
+    st.busyMs += busy;
+    st.budgetMs += quantumMs;
+    st.blockBusyMs += busy;
+    if (++st.blockQuanta >= BLOCK_QUANTA) {
+      st.peak = Math.max(st.peak, st.blockBusyMs / (BLOCK_QUANTA * quantumMs));
+      st.blockBusyMs = 0;
+      st.blockQuanta = 0;
+    }
+    st.elapsedSec += quantumMs / 1000;
+    if (st.elapsedSec >= STATS_INTERVAL_SEC) this.postStats(quantumMs);
+
+    return true;
+  }
+
+  postStats(quantumMs) {
+    const st = this.stats;
+    let grains = 0;
+    for (const v of this.voices.values()) grains += v.grains.length;
+    this.port.postMessage({
+      type: 'stats',
+      payload: {
+        load: st.budgetMs > 0 ? st.busyMs / st.budgetMs : 0,
+        // Before the first full block the interval mean is the best figure there is
+        loadMax: Math.max(st.peak, st.budgetMs > 0 ? st.busyMs / st.budgetMs : 0),
+        quantumMs,
+        voices: this.voices.size,
+        grains,
+      }
+    });
+    st.elapsedSec = 0; st.busyMs = 0; st.budgetMs = 0; st.peak = 0;
+  }
+
+  render(outputs, parameters) {
     const outL = outputs[0][0];
     const outR = outputs[0][1] || outputs[0][0];
 
@@ -188,13 +272,20 @@ class GranularProcessor extends AudioWorkletProcessor {
     outL.fill(0);
     outR.fill(0);
 
+    // Timed note-ons/offs due before this quantum ends
+    const quantumEnd = currentTime + outL.length / sampleRate;
+    while (this.pending.length && this.pending[0].payload.when < quantumEnd) {
+      const { type, payload } = this.pending.shift();
+      this.applyNote(type, payload);
+    }
+
     const grainSizeSec = readParam(parameters.grainSize);
     const overlap = clamp(readParam(parameters.overlap), 0, 0.95);
     const jitterSec = clamp(readParam(parameters.jitter), 0, 0.02);
 
     // Early out if no buffer
     if (this.length <= 0 || this.buffers[0].length === 0) {
-      return true;
+      return;
     }
 
     const srcL = this.buffers[0];
@@ -269,8 +360,6 @@ class GranularProcessor extends AudioWorkletProcessor {
     for (const v of this.voices.values()) {
       v.time += dt;
     }
-
-    return true;
   }
 }
 
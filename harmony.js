@@ -0,0 +1,253 @@
+// /js/audio/harmony.js
+// Chord proposals for an extracted melody and an accompaniment track built from them.
+//
+// API:
+//   harmonize({
+//     notes,                        // monophonic melody (segmentToMidi notes)
+//     key = null,                   // estimateKey() result; estimated from the notes when missing
+//     bpm = 120, offsetSec = 0,     // beat grid (segmentToMidi's tempo); offsetSec = first downbeat
+//     beatsPerBar = 4,
+//     chordsPerBar = 1,             // harmonic rhythm: 1 or 2 chords per bar
+//     style = 'triads',             // 'triads' | 'sevenths' | 'power'
+//     pattern = 'block',            // 'block' | 'arpeggio' | 'bass'
+//     velocity = 0.6
+//   }) -> { chords, notes, key }
+//   chords: [{ tOn, tOff, root, quality, name, degree, pitchClasses }]   // root/pitchClasses 0..11
+//   notes:  accompaniment [{ pitch, tOn, tOff, velocity }], same time base as the melody
+//
+//   HARMONY_STYLES: ['triads', 'sevenths', 'power']
+//   ACCOMPANIMENT_PATTERNS: ['block', 'arpeggio', 'bass']
+//
+// Notes:
+// - Candidates are the key's diatonic chords (plus the harmonic-minor V in minor keys).
+//   Each chord span scores how much melody (duration × velocity, notes sounding on the
+//   span's downbeat counted extra) falls on chord tones versus outside them.
+// - A Viterbi pass over the spans adds a small functional prior (I, IV, V), rewards
+//   falling-fifth root motion and starting/ending on the tonic, and holds the previous
+//   chord through spans without melody.
+// - Power chords are chosen as triads (so the melody's third still picks major/minor
+//   degrees) but voiced as root, fifth and octave.
+// - Chords are voiced below the melody; each voicing is the inversion closest to the
+//   previous one. The bass pattern alternates root and fifth every two beats.
+
+import { SCALES, estimateKey, pitchName, keySignature } from './musicKey.js';
+
+export const HARMONY_STYLES = ['triads', 'sevenths', 'power'];
+export const ACCOMPANIMENT_PATTERNS = ['block', 'arpeggio', 'bass'];
+
+const DEGREE_PRIOR = [0.15, 0.02, 0, 0.1, 0.1, 0.05, -0.1];   // I ii iii IV V vi vii
+const OUTSIDE_PENALTY = 0.6;       // melody weight off the chord counts against it at this rate
+const DOWNBEAT_WEIGHT = 1.5;       // melody sounding at a span's start
+const FIFTH_DOWN_BONUS = 0.1;
+const HOLD_BONUS = 0.03;
+const SILENT_HOLD_BONUS = 0.3;     // spans without melody keep the previous chord ringing
+const TONIC_EDGE_BONUS = 0.15;     // first and last span on the tonic
+const NOTE_GAP_SEC = 0.02;         // block chords release just before the next one
+const BASS_LOW = 33;               // A1: bass roots sit in [BASS_LOW, BASS_LOW + 12)
+
+export function harmonize({
+  notes = [],
+  key = null,
+  bpm = 120,
+  offsetSec = 0,
+  beatsPerBar = 4,
+  chordsPerBar = 1,
+  style = 'triads',
+  pattern = 'block',
+  velocity = 0.6
+} = {}) {
+  const melody = notes.filter(n => n.tOff > n.tOn).sort((a, b) => a.tOn - b.tOn);
+  key = key || estimateKey({ notes: melody }) || { tonic: 0, mode: 'major', name: 'C major' };
+  if (!melody.length) return { chords: [], notes: [], key };
+
+  const beatSec = 60 / Math.max(1, bpm);
+  const spanBeats = beatsPerBar / clamp(Math.round(chordsPerBar) || 1, 1, beatsPerBar);
+  const spanSec = spanBeats * beatSec;
+  // Span grid on the downbeats; one extra span back for a pickup before the first beat
+  let origin = offsetSec;
+  while (origin > melody[0].tOn + 1e-6) origin -= beatsPerBar * beatSec;
+  const last = melody.reduce((m, n) => Math.max(m, n.tOff), 0);
+  const count = Math.max(1, Math.ceil((last - origin) / spanSec - 1e-6));
+
+  const candidates = chordCandidates(key, style);
+  const weights = [];
+  for (let s = 0; s < count; s++) weights.push(spanWeights(melody, origin + s * spanSec, spanSec));
+  const path = chooseChords(candidates, weights);
+
+  const sf = keySignature(key).sf;
+  const chords = path.map((c, s) => ({
+    tOn: Math.max(0, origin + s * spanSec),
+    tOff: origin + (s + 1) * spanSec,
+    root: c.root,
+    quality: c.quality,
+    name: pitchName(c.root, sf) + c.quality,
+    degree: c.degree,
+    pitchClasses: c.voice,
+  }));
+
+  // Voice below the melody's median
+  const pitches = melody.map(n => n.pitch).sort((a, b) => a - b);
+  const low = clamp(pitches[pitches.length >> 1] - 17, 40, 60);
+  const accompaniment = pattern === 'bass'
+    ? bassLine(chords, beatSec, velocity)
+    : chordNotes(chords, low, pattern, beatSec, velocity);
+  return { chords, notes: accompaniment, key };
+}
+
+// Diatonic chords on every degree: { root, degree, quality, tones (for scoring), voice (played) }
+function chordCandidates(key, style) {
+  const steps = SCALES[key.mode] || SCALES.major;
+  const pc = (degree, k) => mod12(key.tonic + steps[(degree + k) % 7]);
+  const out = [];
+  for (let d = 0; d < 7; d++) {
+    const triad = [pc(d, 0), pc(d, 2), pc(d, 4)];
+    out.push(candidate(triad, style === 'sevenths' ? pc(d, 6) : null, d, style));
+  }
+  if (key.mode === 'minor') {
+    // Harmonic-minor dominant: major third (the raised leading tone)
+    const v = [mod12(key.tonic + 7), mod12(key.tonic + 11), mod12(key.tonic + 2)];
+    out.push(candidate(v, style === 'sevenths' ? mod12(key.tonic + 5) : null, 4, style));
+  }
+  // A power chord needs a perfect fifth
+  return style === 'power' ? out.filter(c => c.quality === '5') : out;
+}
+
+function candidate(triad, seventh, degree, style) {
+  const [root, third, fifth] = triad;
+  const t = mod12(third - root), f = mod12(fifth - root);
+  let quality = t === 4 ? (f === 8 ? 'aug' : '') : (f === 6 ? 'dim' : 'm');
+  const tones = seventh == null ? triad : [...triad, seventh];
+  let voice = tones;
+  if (seventh != null) {
+    const s = mod12(seventh - root);
+    quality = { '': s === 11 ? 'maj7' : '7', m: s === 11 ? 'mMaj7' : 'm7', dim: s === 10 ? 'm7b5' : 'dim7', aug: 'aug7' }[quality];
+  }
+  if (style === 'power') {
+    quality = f === 7 ? '5' : null;
+    voice = [root, fifth];
+  }
+  return { root, degree, quality, tones, voice };
+}
+
+// Pitch-class weights of the melody inside [t0, t0 + dur), normalised to sum 1
+function spanWeights(melody, t0, dur) {
+  const w = new Float64Array(12);
+  let total = 0;
+  for (const n of melody) {
+    if (n.tOn >= t0 + dur) break;
+    const overlap = Math.min(n.tOff, t0 + dur) - Math.max(n.tOn, t0);
+    if (overlap <= 0) continue;
+    const onDownbeat = n.tOn <= t0 + 0.05 * dur && n.tOff > t0;
+    const x = overlap * (n.velocity ?? 0.9) * (onDownbeat ? DOWNBEAT_WEIGHT : 1);
+    w[mod12(n.pitch)] += x;
+    total += x;
+  }
+  if (total > 0) for (let i = 0; i < 12; i++) w[i] /= total;
+  return total > 0 ? w : null;
+}
+
+function chooseChords(candidates, weights) {
+  const fit = (c, w) => {
+    if (!w) return 0;
+    let inside = 0;
+    for (const pc of c.tones) inside += w[pc];
+    return inside - OUTSIDE_PENALTY * (1 - inside);
+  };
+  const transition = (a, b, w) => {
+    if (a === b) return w ? HOLD_BONUS : SILENT_HOLD_BONUS;
+    return mod12(b.root - a.root) === 5 ? FIFTH_DOWN_BONUS : 0;
+  };
+  const n = weights.length;
+  const tonicBonus = (c, s) => (c.degree === 0 && (s === 0 || s === n - 1) ? TONIC_EDGE_BONUS : 0);
+
+  let score = candidates.map(c => fit(c, weights[0]) + DEGREE_PRIOR[c.degree] + tonicBonus(c, 0));
+  const back = [];
+  for (let s = 1; s < n; s++) {
+    const next = [], from = [];
+    for (const c of candidates) {
+      let best = 0;
+      for (let k = 1; k < candidates.length; k++) {
+        if (score[k] + transition(candidates[k], c, weights[s]) > score[best] + transition(candidates[best], c, weights[s])) best = k;
+      }
+      next.push(score[best] + transition(candidates[best], c, weights[s])
+        + fit(c, weights[s]) + DEGREE_PRIOR[c.degree] + tonicBonus(c, s));
+      from.push(best);
+    }
+    score = next;
+    back.push(from);
+  }
+  let k = 0;
+  for (let j = 1; j < score.length; j++) if (score[j] > score[k]) k = j;
+  const path = [candidates[k]];
+  for (let s = back.length - 1; s >= 0; s--) path.unshift(candidates[k = back[s][k]]);
+  return path;
+}
+
+function chordNotes(chords, low, pattern, beatSec, velocity) {
+  const out = [];
+  let prev = null;
+  for (const c of chords) {
+    const voicing = voiceChord(c, low, prev);
+    prev = voicing;
+    if (pattern === 'arpeggio') {
+      // Up and back down in eighths, accenting the beats
+      const seq = [...voicing, voicing[0] + 12];
+      const cycle = [...seq, ...seq.slice(1, -1).reverse()];
+      const step = beatSec / 2;
+      for (let t = c.tOn, i = 0; t < c.tOff - 1e-6; t += step, i++) {
+        out.push({
+          pitch: cycle[i % cycle.length],
+          tOn: t,
+          tOff: Math.min(t + step, c.tOff),
+          velocity: velocity * (i % 2 ? 0.8 : 1),
+        });
+      }
+    } else {
+      for (const pitch of voicing) {
+        out.push({ pitch, tOn: c.tOn, tOff: Math.max(c.tOn, c.tOff - NOTE_GAP_SEC), velocity });
+      }
+    }
+  }
+  return out;
+}
+
+// Close voicing at or above `low`; the inversion nearest the previous voicing
+function voiceChord(c, low, prev) {
+  if (c.quality === '5') {
+    const root = low - 12 + mod12(c.root - low);
+    return [root, root + 7, root + 12];
+  }
+  let best = null, bestCost = Infinity;
+  for (let r = 0; r < c.pitchClasses.length; r++) {
+    const v = [];
+    let p = low + mod12(c.pitchClasses[r] - low);
+    for (let i = 0; i < c.pitchClasses.length; i++) {
+      const pc = c.pitchClasses[(r + i) % c.pitchClasses.length];
+      if (i) p += mod12(pc - p) || 12;
+      v.push(p);
+    }
+    const cost = prev ? Math.abs(mean(v) - mean(prev)) + 0.5 * Math.abs(v[0] - prev[0]) : r;
+    if (cost < bestCost) { bestCost = cost; best = v; }
+  }
+  return best;
+}
+
+function bassLine(chords, beatSec, velocity) {
+  const out = [];
+  for (const c of chords) {
+    const root = BASS_LOW + mod12(c.root - BASS_LOW);
+    for (let t = c.tOn, i = 0; t < c.tOff - 1e-6; t += 2 * beatSec, i++) {
+      out.push({
+        pitch: i % 2 ? root + 7 : root,
+        tOn: t,
+        tOff: Math.max(t, Math.min(t + 2 * beatSec, c.tOff) - NOTE_GAP_SEC),
+        velocity: velocity * (i % 2 ? 0.85 : 1),
+      });
+    }
+  }
+  return out;
+}
+
+function mean(a) { return a.reduce((s, v) => s + v, 0) / a.length; }
+function mod12(n) { return ((n % 12) + 12) % 12; }
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
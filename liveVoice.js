@@ -0,0 +1,176 @@
+// /js/audio/liveVoice.js
+// Live voice-to-MIDI: mic -> pitch-tracker worklet -> gated, held note events.
+//
+// API:
+//   await startLiveVoice({
+//     fMin = 60, fMax = 1200,       // Hz (see resolvePitchRange in pitchToMidi.js)
+//     threshold = 0.15,             // YIN threshold in the worklet
+//     gateDb = -40,                 // input level below this is silence
+//     holdMs = 40,                  // a pitch change (or silence) must last this long to count
+//     hysteresisCents = 30,         // extra margin before leaving the current semitone
+//     bend = false,                 // also report the pitch deviation of the held note
+//     onNoteOn(midi, velocity), onNoteOff(midi), onBend?(midi, semis)
+//   }) -> live
+// live:
+//   setParams({ fMin, fMax, threshold, gateDb, holdMs, hysteresisCents, bend })
+//   getLatency() -> { inputMs, windowMs, holdMs, outputMs, totalMs }   // expected, not measured
+//   stop()                          // releases the held note and the microphone
+//
+// Notes:
+// - Needs AudioWorklet (secure context); throws otherwise so the caller can report it.
+// - Mic processing (echo cancellation, noise suppression, AGC) is turned off: it
+//   adds latency and the AGC pumping reads as note re-attacks.
+// - The tracker node has no outputs, so the mic is never heard directly.
+
+import { getAudioContext } from './engine.js';
+
+const VELOCITY_SPAN_DB = 36; // gate .. gate + span maps to velocity 0.3 .. 1
+const BEND_STEP_SEMIS = 0.02;
+
+export async function startLiveVoice(opts = {}) {
+  const context = getAudioContext();
+  if (!context.audioWorklet || !window.isSecureContext) {
+    throw new Error('Live mode needs AudioWorklet support (https or localhost)');
+  }
+  try {
+    await context.audioWorklet.addModule('./worklets/pitch-tracker-processor.js');
+  } catch (e) {
+    if (!('' + e.message).toLowerCase().includes('already')) throw e;
+  }
+
+  const params = {
+    fMin: 60,
+    fMax: 1200,
+    threshold: 0.15,
+    gateDb: -40,
+    holdMs: 40,
+    hysteresisCents: 30,
+    bend: false,
+  };
+  Object.assign(params, pick(opts, Object.keys(params)));
+  const onNoteOn = opts.onNoteOn || (() => {});
+  const onNoteOff = opts.onNoteOff || (() => {});
+  const onBend = opts.onBend || (() => {});
+
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false, latency: 0 }
+  });
+  const source = context.createMediaStreamSource(stream);
+  const node = new AudioWorkletNode(context, 'pitch-tracker-processor', {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+    channelCount: 1,
+    channelCountMode: 'explicit',
+  });
+  source.connect(node);
+
+  let windowSec = 0.04;
+  let current = null;      // { midi, lastBend }
+  let pending = null;      // { midi, since, velocity }  candidate note (-1 = silence)
+
+  node.port.onmessage = (e) => {
+    const { type, payload } = e.data || {};
+    if (type === 'config') windowSec = payload.windowSec;
+    else if (type === 'pitch') onPitch(payload);
+  };
+  pushWorkletParams();
+
+  function onPitch({ hz, confidence, rms, time }) {
+    const levelDb = 20 * Math.log10(Math.max(rms, 1e-9));
+    const voiced = hz > 0 && confidence > 0 && levelDb >= params.gateDb;
+    const midiFloat = voiced ? 69 + 12 * Math.log2(hz / 440) : null;
+
+    // Stay on the current semitone unless we're clearly past its edge
+    let target = -1;
+    if (voiced) {
+      const margin = 0.5 + params.hysteresisCents / 100;
+      target = current && Math.abs(midiFloat - current.midi) < margin
+        ? current.midi
+        : Math.round(midiFloat);
+    }
+
+    if (current && target === current.midi) {
+      pending = null;
+      if (params.bend) {
+        const semis = midiFloat - current.midi;
+        if (Math.abs(semis - current.lastBend) >= BEND_STEP_SEMIS) {
+          current.lastBend = semis;
+          onBend(current.midi, semis);
+        }
+      }
+      return;
+    }
+    if (!current && target < 0) { pending = null; return; }
+
+    // Something different: it has to persist for holdMs before we act on it
+    if (!pending || pending.midi !== target) {
+      const velocity = voiced ? levelToVelocity(levelDb) : 0;
+      pending = { midi: target, since: time, velocity };
+      if (params.holdMs > 0) return;
+    }
+    if ((time - pending.since) * 1000 < params.holdMs) return;
+
+    if (current) release();
+    if (pending.midi >= 0) {
+      current = { midi: pending.midi, lastBend: 0 };
+      if (params.bend) onBend(current.midi, 0);
+      onNoteOn(current.midi, pending.velocity);
+    }
+    pending = null;
+  }
+
+  function levelToVelocity(levelDb) {
+    const x = clamp((levelDb - params.gateDb) / VELOCITY_SPAN_DB, 0, 1);
+    return 0.3 + 0.7 * x;
+  }
+
+  function release() {
+    if (!current) return;
+    onNoteOff(current.midi);
+    current = null;
+  }
+
+  function pushWorkletParams() {
+    node.port.postMessage({
+      type: 'setParams',
+      payload: { fMin: params.fMin, fMax: params.fMax, threshold: params.threshold }
+    });
+  }
+
+  function setParams(next = {}) {
+    const prev = { ...params };
+    Object.assign(params, pick(next, Object.keys(params)));
+    params.holdMs = clamp(+params.holdMs || 0, 0, 500);
+    if (params.fMin !== prev.fMin || params.fMax !== prev.fMax || params.threshold !== prev.threshold) {
+      pushWorkletParams();
+    }
+  }
+
+  function getLatency() {
+    const track = stream.getAudioTracks()[0];
+    const inputMs = ((track?.getSettings?.().latency) || 0) * 1000 + (context.baseLatency || 0) * 1000;
+    const windowMs = windowSec * 1000;
+    const outputMs = (context.outputLatency || 0) * 1000;
+    const holdMs = params.holdMs;
+    return { inputMs, windowMs, holdMs, outputMs, totalMs: inputMs + windowMs + holdMs + outputMs };
+  }
+
+  function stop() {
+    release();
+    pending = null;
+    node.port.onmessage = null;
+    try { source.disconnect(); } catch {}
+    try { node.disconnect(); } catch {}
+    stream.getTracks().forEach(t => t.stop());
+  }
+
+  return { setParams, getLatency, stop };
+}
+
+function pick(obj, keys) {
+  const out = {};
+  for (const k of keys) if (obj[k] !== undefined) out[k] = obj[k];
+  return out;
+}
+
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
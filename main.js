@@ -5,39 +5,105 @@
 import { initWaveform } from './ui/waveform.js';
 import { initKeyboard } from './ui/keyboard.js';
 import { initControls } from './ui/controls.js';
+import { initPianoRoll } from './ui/pianoRoll.js';
 
 import { initAudio } from './audio/engine.js';
 import { createGranularInstrument } from './audio/samplerInstrument.js';
 import { createPiano } from './audio/pianoInstrument.js';
-import { segmentToMidi, exportMidi } from './audio/pitchToMidi.js';
+import { segmentToMidi, exportMidi, benchmarkPitch, resolvePitchRange, gridToBeats } from './audio/pitchToMidi.js';
+import { startLiveVoice } from './audio/liveVoice.js';
+import { createTapTempo } from './audio/tempo.js';
+import { segmentToDrums } from './audio/drums.js';
+import { createDrumKit } from './audio/drumKit.js';
+import { describeExpression } from './audio/expression.js';
+import { harmonize } from './audio/harmony.js';
+import { readMidiFile } from './audio/midiFile.js';
+import { keyFromSignature, keyName } from './audio/musicKey.js';
+import { exportMusicXML, exportAbc } from './audio/notation.js';
+import { createTransport } from './audio/transport.js';
 
 // ---------- App State ----------
 const state = {
-  mode: 'instrument', // 'instrument' | 'piano'
-  engine: null,       // audio engine { context, masterGain, connect, ... }
+  mode: 'instrument', // 'instrument' | 'piano' | 'drums'
+  engine: null,       // audio engine { context, masterGain, connect, playBuffer, ... }
   waveform: null,     // wavesurfer wrapper
   keyboard: null,     // onscreen keyboard
   controls: null,     // controls UI
+  pianoRoll: null,    // note editor for lastExtractedNotes (see pianoRoll.js)
   currentBuffer: null, // AudioBuffer of the loaded audio
   currentRegion: null, // { start, end, duration }
   recording: false,
   mediaRecorder: null,
   recordedChunks: [],
+  preview: null,      // active segment preview { source, stop }
+  transport: null,    // note scheduler behind every audition and Play (see transport.js)
+  playheadFrame: 0,   // requestAnimationFrame id of the playhead follower
+  rollSelection: [],  // notes selected in the piano roll (loop region)
+  live: null,         // live voice-to-MIDI session (see liveVoice.js)
+  liveSynth: null,    // instrument holding the current live note
+  analysisJobs: new Set(), // AbortControllers of pitch analyses in flight (see startAnalysisJob)
   // Instruments
   instrument: null,   // granular instrument instance (instrument mode)
   piano: null,        // piano sampler instance (piano mode)
+  drumKit: null,      // synthesized GM kit (drums mode)
   // Exports
   lastExtractedNotes: null, // [{pitch,tOn,tOff,velocity}]
+  lastExtractedKey: null,   // estimateKey() result for the extracted segment
+  lastExtractedDrums: false, // lastExtractedNotes are GM percussion (drums mode)
+  lastTempo: null,          // { bpm, offsetSec, ... } the extracted notes were quantized to
+  lastSegment: null,        // { buffer, start, end } the extracted notes came from (A/B playback)
+  lastAccompaniment: null,  // harmonize() result for lastExtractedNotes, exported as a second track
+  lastImportedSong: null,   // parseMidi() result of the last loaded .mid (see midiFile.js)
+  lastExtractedFromImport: false, // lastExtractedNotes are lastImportedSong's (tagged with track/channel)
+  performance: null,        // live session being recorded { t0, notes, open }
+  lastPerformance: null,    // notes played in the last live session
   // Settings
   settings: {
-    highAccuracy: false,      // CREPE toggle (lazy-loaded downstream)
+    highAccuracy: false,      // pYIN + Viterbi instead of plain YIN
+    pitchRange: 'voice',      // key of PITCH_RANGES or 'custom'
+    fMinHz: 60,               // custom range only
+    fMaxHz: 1200,             // custom range only
+    yinThreshold: 0.1,
+    mpmCutoff: 0.3,
+    onsetSensitivity: 0.5,    // 0 = never split same-pitch notes, 1 = split on any articulation
     minNoteDurationMs: 100,
-    quantize: '1/16',         // or 'off'
+    velocityMin: 32,          // MIDI velocity of the softest extracted note
+    velocityMax: 127,         // ... and of the loudest
+    velocityCurve: 0,         // -1..+1, see segmentToMidi()
+    scaleSnap: false,         // move out-of-key notes into the detected key
+    pitchBend: false,         // export the f0 contour as pitch bend
+    mpe: false,               // export one MPE member channel per note
+    modWheel: false,          // export vibrato depth as CC1
+    exportFormat: 'midi',     // 'midi' | 'musicxml' | 'abc'
+    notationKey: 'auto',      // 'auto' (detected/imported key) or '<tonic>:<mode>'
+    exportImported: true,     // export: add the imported file's tracks to extracted notes
+    exportPerformance: false, // export: add the last live performance as a track
+    bendRange: 2,             // semitones (MPE commonly uses 48)
+    bendThresholdCents: 5,
+    quantize: '1/16',         // or 'off'; 't'/'d' suffix = triplet/dotted
+    swing: 0,                 // 0..1
+    quantizeStrength: 1,      // 0..1
+    quantizeStart: true,
+    lengthMode: 'end',        // 'end' | 'length' | 'keep' | 'legato'
+    bpm: 0,                   // 0 = detect the tempo of each extracted segment
     noiseGateDb: -40,
+    adaptiveGate: true,       // analysis: gate relative to the segment's noise floor
+    preEmphasis: false,       // analysis: tilt towards the upper harmonics before tracking
+    normalizeAnalysis: true,  // analysis: peak-normalise the segment before tracking
+    liveHoldMs: 40,           // live mode: a pitch change must last this long
+    liveBend: false,          // live mode: follow the voice between semitones
+    drumSensitivity: { kick: 0.5, snare: 0.5, hihat: 0.5, other: 0.5 }, // drums mode, per class 0..1
+    drumOnsetSensitivity: 0.6, // drums mode: onset detection (its own: the melodic one may be 0 = off)
+    harmonyStyle: 'triads',   // 'triads' | 'sevenths' | 'power'
+    accompanimentPattern: 'block', // 'block' | 'arpeggio' | 'bass'
+    chordsPerBar: 1,
     hpfHz: 30,
     qwerty: true,
     midiIn: true,
     octaveOffset: 0,
+    playbackRate: 1,          // tempo multiplier for note playback
+    abMix: 'midi',            // 'midi' | 'audio' | 'both': note playback against the original
+    loopPlayback: false,      // loop the piano-roll selection (or everything)
   }
 };
 
@@ -49,6 +115,7 @@ const els = {
   btnLoad: $('#btn-load'),
   fileInput: $('#file-input'),
   btnRecord: $('#btn-record'),
+  btnLive: $('#btn-live'),
   btnPlay: $('#btn-play'),
   btnStop: $('#btn-stop'),
   btnZoomIn: $('#btn-zoom-in'),
@@ -58,21 +125,79 @@ const els = {
   btnPreviewRegion: $('#btn-preview-region'),
   btnMakeInstrument: $('#btn-make-instrument'),
   btnExtractMidi: $('#btn-extract-midi'),
+  btnPlayMidi: $('#btn-play-midi'),
+  selExportFormat: $('#sel-export-format'),
+  selNotationKey: $('#sel-notation-key'),
   btnExportMidi: $('#btn-export-midi'),
   btnSavePreset: $('#btn-save-preset'),
   modeSelect: $('#mode-select'),
   statusText: $('#status-text'),
   cpuMeter: $('#cpu-meter'),
+  auditionNote: $('#audition-note'),
+  renderStats: $('#render-stats'),
+  analysisProgress: $('#analysis-progress'),
+  analysisProgressBar: $('#analysis-progress-bar'),
+  btnCancelAnalysis: $('#btn-cancel-analysis'),
   waveHint: $('#wave-hint'),
+  pianoRoll: $('#piano-roll'),
+  rollTools: $$('input[name="roll-tool"]'),
+  btnRollSplit: $('#btn-roll-split'),
+  btnRollMerge: $('#btn-roll-merge'),
+  btnRollDelete: $('#btn-roll-delete'),
+  inpRollVelocity: $('#inp-roll-velocity'),
+  chkRollSnap: $('#chk-roll-snap'),
+  btnRollUndo: $('#btn-roll-undo'),
+  btnRollRedo: $('#btn-roll-redo'),
+  btnTransportPlay: $('#btn-transport-play'),
+  btnTransportStop: $('#btn-transport-stop'),
+  chkTransportLoop: $('#chk-transport-loop'),
+  selPlaybackRate: $('#sel-playback-rate'),
+  selAbMix: $('#sel-ab-mix'),
   keyboard: $('#keyboard'),
   controlsPanel: $('#controls-panel'),
   settingsDialog: $('#settings-dialog'),
   btnSettings: $('#btn-settings'),
   chkHighAccuracy: $('#chk-high-accuracy'),
+  selRange: $('#sel-range'),
+  customRange: $('#custom-range'),
+  inpFMin: $('#inp-fmin'),
+  inpFMax: $('#inp-fmax'),
+  inpYinThreshold: $('#inp-yin-threshold'),
+  inpMpmCutoff: $('#inp-mpm-cutoff'),
+  inpOnset: $('#inp-onset'),
   inpMinDuration: $('#inp-min-duration'),
+  inpVelMin: $('#inp-vel-min'),
+  inpVelMax: $('#inp-vel-max'),
+  selVelCurve: $('#sel-vel-curve'),
+  chkScaleSnap: $('#chk-scale-snap'),
+  chkPitchBend: $('#chk-pitch-bend'),
+  chkMpe: $('#chk-mpe'),
+  chkModWheel: $('#chk-mod-wheel'),
+  chkExportImported: $('#chk-export-imported'),
+  chkExportPerformance: $('#chk-export-performance'),
+  inpBendRange: $('#inp-bend-range'),
+  inpBendCents: $('#inp-bend-cents'),
   selQuantize: $('#sel-quantize'),
+  inpSwing: $('#inp-swing'),
+  inpQuantizeStrength: $('#inp-quantize-strength'),
+  chkQuantizeStart: $('#chk-quantize-start'),
+  selLengthMode: $('#sel-length-mode'),
+  inpBpm: $('#inp-bpm'),
+  btnTapTempo: $('#btn-tap-tempo'),
+  btnBenchmark: $('#btn-benchmark'),
   inpGate: $('#inp-gate'),
+  inpLiveHold: $('#inp-live-hold'),
+  chkLiveBend: $('#chk-live-bend'),
+  drumSensitivity: $$('[data-drum-sensitivity]'),
+  inpDrumOnset: $('#inp-drum-onset'),
+  selHarmonyStyle: $('#sel-harmony-style'),
+  selAccompanimentPattern: $('#sel-accompaniment-pattern'),
+  selChordsPerBar: $('#sel-chords-per-bar'),
+  btnHarmonize: $('#btn-harmonize'),
   inpHpf: $('#inp-hpf'),
+  chkAdaptiveGate: $('#chk-adaptive-gate'),
+  chkPreEmphasis: $('#chk-pre-emphasis'),
+  chkNormalize: $('#chk-normalize'),
   octaveRange: $('#octave-range'),
   chkQwerty: $('#chk-qwerty'),
   chkMidiIn: $('#chk-midiin'),
@@ -89,9 +214,14 @@ function setButtonsEnabled() {
   const hasRegion = !!state.currentRegion && !!state.currentBuffer;
   els.btnPreviewRegion.disabled = !hasRegion;
   els.btnMakeInstrument.disabled = !hasRegion || state.mode !== 'instrument';
-  els.btnExtractMidi.disabled = !hasRegion || state.mode !== 'piano';
+  els.btnExtractMidi.disabled = !hasRegion || state.mode === 'instrument';
 
   els.btnExportMidi.disabled = !(state.lastExtractedNotes && state.lastExtractedNotes.length);
+  els.btnPlayMidi.disabled = els.btnExportMidi.disabled;
+  els.btnTransportPlay.disabled = els.btnExportMidi.disabled;
+  els.btnTransportStop.disabled = !state.transport?.isPlaying();
+  els.selAbMix.disabled = !state.lastSegment;   // imported MIDI has no recording to compare with
+  els.btnHarmonize.disabled = !(state.lastExtractedNotes && state.lastExtractedNotes.length) || state.lastExtractedDrums;
   els.btnSavePreset.disabled = !state.instrument;
 }
 
@@ -99,8 +229,14 @@ function setButtonsEnabled() {
 window.addEventListener('DOMContentLoaded', async () => {
   try {
     // Init Audio Engine
-    state.engine = await initAudio();
+    state.engine = await initAudio({ hpfHz: state.settings.hpfHz });
     setStatus('Audio engine ready.');
+    state.transport = createTransport({ context: state.engine.context, destination: state.engine.masterGain });
+    state.transport.onNote(showPlayingNote);
+    state.transport.onEnd(() => {
+      els.auditionNote.textContent = '';
+      setButtonsEnabled();
+    });
 
     // Init Waveform
     state.waveform = initWaveform(document.getElementById('waveform'));
@@ -114,12 +250,34 @@ window.addEventListener('DOMContentLoaded', async () => {
     state.controls = initControls(els.controlsPanel, {
       mode: state.mode,
       onParamChange: (params) => {
+        // Reverb bus is shared by every instrument
+        state.engine.reverb.setParams({
+          size: params.reverbSize,
+          decay: params.reverbDecay,
+          preDelay: params.reverbPreDelay,
+          damping: params.reverbDamping,
+        });
         // Forward param changes to the active instrument
         if (state.mode === 'instrument' && state.instrument) {
           state.instrument.setParams(params);
         } else if (state.mode === 'piano' && state.piano) {
           state.piano.setParams?.(params);
         }
+      },
+      onLoadImpulse: async (file) => {
+        try {
+          const { duration } = await state.engine.reverb.loadImpulse(file);
+          state.controls.setImpulseLabel(`${file.name} (${duration.toFixed(2)}s)`);
+          setStatus(`Reverb IR loaded: ${file.name}`);
+        } catch (e) {
+          console.error(e);
+          setStatus('Failed to load reverb IR.');
+        }
+      },
+      onResetImpulse: () => {
+        state.engine.reverb.useGenerated();
+        state.controls.setImpulseLabel('generated');
+        setStatus('Reverb IR: generated.');
       }
     });
 
@@ -130,29 +288,32 @@ window.addEventListener('DOMContentLoaded', async () => {
       midiIn: state.settings.midiIn,
       onNoteOn: (midi, velocity = 0.9) => {
         resumeAudioContext();
-        if (state.mode === 'instrument' && state.instrument) {
-          state.instrument.noteOn(midi, velocity);
-        } else if (state.mode === 'piano' && state.piano) {
-          state.piano.noteOn(midi, velocity);
-        }
+        activeSynth()?.noteOn(midi, velocity);
       },
       onNoteOff: (midi) => {
-        if (state.mode === 'instrument' && state.instrument) {
-          state.instrument.noteOff(midi);
-        } else if (state.mode === 'piano' && state.piano) {
-          state.piano.noteOff(midi);
-        }
+        activeSynth()?.noteOff(midi);
       }
     });
 
+    // Piano roll: edits replace lastExtractedNotes, so Play MIDI and Export pick them up
+    state.pianoRoll = initPianoRoll(els.pianoRoll, {
+      onChange: onNotesEdited,
+      onSelect: showRollSelection,
+      onPreview: previewNote
+    });
+
     // Piano instrument (always available in piano mode)
     state.piano = await createPiano({ assetsBaseUrl: './assets/samples/piano/' });
     state.piano.connect(state.engine.masterGain);
+    state.drumKit = createDrumKit();
+    state.drumKit.connect(state.engine.masterGain);
 
     // Wire UI
     wireTopBar();
     wireWaveToolbar();
     wireExportPanel();
+    wirePianoRoll();
+    wireTransport();
     wireSettings();
     wireFooter();
 
@@ -169,10 +330,11 @@ function wireTopBar() {
   els.fileInput.addEventListener('change', onFileChosen);
 
   els.btnRecord.addEventListener('click', onToggleRecord);
+  els.btnLive.addEventListener('click', onToggleLive);
 
   els.modeSelect.addEventListener('change', (e) => {
     state.mode = e.target.value;
-    setStatus(`Mode: ${state.mode === 'instrument' ? 'Instrument (Timbre)' : 'Piano (MIDI)'}`);
+    setStatus(`Mode: ${els.modeSelect.selectedOptions[0]?.textContent || state.mode}`);
     // Update controls UI to reflect mode
     state.controls.setMode(state.mode);
     setButtonsEnabled();
@@ -206,6 +368,10 @@ function wireWaveToolbar() {
 
   els.btnPreviewRegion.addEventListener('click', previewSelectedSegment);
 
+  els.btnCancelAnalysis.addEventListener('click', () => {
+    for (const job of state.analysisJobs) job.abort();
+  });
+
   els.btnMakeInstrument.addEventListener('click', async () => {
     if (!ensureRegion()) return;
     try {
@@ -215,7 +381,8 @@ function wireWaveToolbar() {
       const instrument = await createGranularInstrument({
         audioBuffer: state.currentBuffer,
         start, end,
-        baseNote: await detectBaseNoteFromRegion()
+        baseNote: await detectBaseNoteFromRegion(),
+        reverb: state.engine.reverb
       });
       if (state.instrument) {
         state.instrument.disconnect?.();
@@ -223,9 +390,11 @@ function wireWaveToolbar() {
       }
       state.instrument = instrument;
       instrument.connect(state.engine.masterGain);
+      instrument.setParams(state.controls.getParams());
       setStatus('Instrument ready. Play the keyboard!');
       setButtonsEnabled();
     } catch (e) {
+      if (isAbort(e)) { setStatus('Instrument creation cancelled.'); return; }
       console.error(e);
       setStatus('Failed to create instrument.');
     }
@@ -233,23 +402,49 @@ function wireWaveToolbar() {
 
   els.btnExtractMidi.addEventListener('click', async () => {
     if (!ensureRegion()) return;
+    const job = startAnalysisJob();
     try {
       resumeAudioContext();
+      if (state.mode === 'drums') {
+        await extractDrums(job);
+        return;
+      }
       setStatus('Analyzing pitch → MIDI…');
       const { start, end } = state.currentRegion;
+      const segment = { buffer: state.currentBuffer, start, end };
       const notesOut = await segmentToMidi({
+        signal: job.signal,
+        onProgress: job.onProgress,
         audioBuffer: state.currentBuffer,
         start,
         end,
         sampleRate: state.currentBuffer.sampleRate,
-        method: state.settings.highAccuracy ? 'crepe' : 'yin',
+        method: state.settings.highAccuracy ? 'pyin' : 'yin',
         quantize: state.settings.quantize,
+        swing: state.settings.swing,
+        quantizeStrength: state.settings.quantizeStrength,
+        quantizeStart: state.settings.quantizeStart,
+        lengthMode: state.settings.lengthMode,
         minDurMs: state.settings.minNoteDurationMs,
         hysteresisCents: 20,
-        gateDb: state.settings.noiseGateDb
+        gateDb: state.settings.noiseGateDb,
+        velocityMin: state.settings.velocityMin / 127,
+        velocityMax: state.settings.velocityMax / 127,
+        velocityCurve: state.settings.velocityCurve,
+        scaleSnap: state.settings.scaleSnap,
+        bpm: state.settings.bpm,
+        ...pitchAnalysisOptions()
       });
       state.lastExtractedNotes = notesOut.notes || [];
-      setStatus(`Extracted ${state.lastExtractedNotes.length} notes.`);
+      state.lastExtractedKey = notesOut.key || null;
+      state.lastExtractedDrums = false;
+      state.lastExtractedFromImport = false;
+      state.lastAccompaniment = null;
+      state.lastTempo = notesOut.tempo || null;
+      state.lastSegment = segment;
+      if (state.lastTempo?.detected) els.inpBpm.placeholder = `auto (${Math.round(state.lastTempo.bpm)})`;
+      loadPianoRoll({ times: notesOut.analysis?.frameTimes, hz: notesOut.f0 });
+      setStatus(`Extracted ${state.lastExtractedNotes.length} notes (${methodLabel(notesOut.method)}, mean confidence ${meanConfidence(state.lastExtractedNotes)}${gateLabel(notesOut.analysis)})${keyLabel(notesOut)}${tempoLabel(notesOut.tempo)}${expressionLabel(state.lastExtractedNotes)}.`);
       setButtonsEnabled();
 
       // Optionally audition the MIDI through the piano
@@ -257,19 +452,55 @@ function wireWaveToolbar() {
         auditionNotes(state.lastExtractedNotes);
       }
     } catch (e) {
+      if (isAbort(e)) { setStatus('MIDI extraction cancelled.'); return; }
       console.error(e);
       setStatus('Failed to extract MIDI.');
+    } finally {
+      job.end();
     }
   });
 }
 
 function wireExportPanel() {
+  els.btnPlayMidi.addEventListener('click', playExtractedNotes);
+  els.selExportFormat.addEventListener('change', (e) => {
+    state.settings.exportFormat = e.target.value;
+  });
   els.btnExportMidi.addEventListener('click', () => {
     if (!(state.lastExtractedNotes && state.lastExtractedNotes.length)) return;
+    if (state.settings.exportFormat !== 'midi') {
+      exportNotation(state.settings.exportFormat);
+      return;
+    }
+    const [first, ...tracks] = exportTracks();
+    const song = state.lastImportedSong;
+    const fromSong = song && (state.lastExtractedFromImport || state.settings.exportImported);
     const blob = exportMidi({
-      notes: state.lastExtractedNotes,
-      bpm: 120,
-      ppq: 480
+      notes: first.notes,
+      name: first.name,
+      instrument: first.instrument,
+      program: first.program,
+      channel: first.channel,
+      tracks,
+      // The imported file's tempo map and signatures keep its notes on their bars
+      tempos: fromSong ? song.tempos : [],
+      timeSignatures: fromSong ? song.timeSignatures : [],
+      keySignatures: fromSong && state.lastExtractedFromImport ? song.keySignatures : [],
+      timeSignature: { numerator: 4, denominator: 4 },
+      markers: [
+        ...(fromSong ? song.markers : []),
+        ...(state.lastAccompaniment?.chords || []).map(c => ({ t: c.tOn, text: c.name }))
+      ],
+      bpm: state.lastTempo?.bpm || 120,
+      beatOffsetSec: fromSong ? 0 : state.lastTempo?.offsetSec || 0,
+      ppq: 480,
+      pitchBend: state.settings.pitchBend,
+      mpe: state.settings.mpe,
+      modWheel: state.settings.modWheel,
+      bendRange: state.settings.bendRange,
+      bendThresholdCents: state.settings.bendThresholdCents,
+      key: state.lastExtractedKey,
+      drums: !!first.drums
     });
     downloadBlob(blob, 'segment.mid');
   });
@@ -281,22 +512,184 @@ function wireExportPanel() {
       const blob = new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' });
       downloadBlob(blob, 'instrument-preset.json');
     } catch (e) {
+      if (isAbort(e)) { setStatus('Preset export cancelled.'); return; }
       console.error(e);
       setStatus('Failed to save preset.');
     }
   });
 }
 
+function wirePianoRoll() {
+  els.rollTools.forEach((input) => {
+    input.addEventListener('change', (e) => state.pianoRoll.setTool(e.target.value));
+  });
+  els.btnRollSplit.addEventListener('click', () => state.pianoRoll.splitSelected());
+  els.btnRollMerge.addEventListener('click', () => state.pianoRoll.mergeSelected());
+  els.btnRollDelete.addEventListener('click', () => state.pianoRoll.deleteSelected());
+  els.inpRollVelocity.addEventListener('change', (e) => {
+    state.pianoRoll.setVelocity(parseInt(e.target.value || '100', 10) / 127);
+  });
+  els.chkRollSnap.addEventListener('change', (e) => state.pianoRoll.setSnap(e.target.checked));
+  els.btnRollUndo.addEventListener('click', () => state.pianoRoll.undo());
+  els.btnRollRedo.addEventListener('click', () => state.pianoRoll.redo());
+}
+
+function wireTransport() {
+  els.btnTransportPlay.addEventListener('click', playExtractedNotes);
+  els.btnTransportStop.addEventListener('click', () => {
+    state.transport.stop();
+    els.auditionNote.textContent = '';
+    setButtonsEnabled();
+  });
+  els.chkTransportLoop.addEventListener('change', (e) => {
+    state.settings.loopPlayback = !!e.target.checked;
+    updateLoop();
+  });
+  els.selPlaybackRate.addEventListener('change', (e) => {
+    state.settings.playbackRate = parseFloat(e.target.value) || 1;
+    state.transport.setRate(state.settings.playbackRate);
+  });
+  els.selAbMix.addEventListener('change', (e) => {
+    state.settings.abMix = e.target.value;
+    state.transport.setMix(state.settings.abMix);
+  });
+}
+
 function wireSettings() {
   els.chkHighAccuracy.addEventListener('change', (e) => {
     state.settings.highAccuracy = !!e.target.checked;
-    setStatus(`Pitch mode: ${state.settings.highAccuracy ? 'High accuracy (CREPE)' : 'Fast (YIN)'}`);
+    setStatus(`Pitch mode: ${state.settings.highAccuracy ? 'High accuracy (pYIN)' : 'Fast (YIN)'}`);
+  });
+  els.selRange.addEventListener('change', (e) => {
+    state.settings.pitchRange = e.target.value;
+    els.customRange.hidden = state.settings.pitchRange !== 'custom';
+    const { fMin, fMax } = currentPitchRange();
+    setStatus(`Pitch range: ${Math.round(fMin)}–${Math.round(fMax)} Hz`);
+  });
+  els.inpFMin.addEventListener('input', (e) => {
+    state.settings.fMinHz = parseFloat(e.target.value || '60');
+  });
+  els.inpFMax.addEventListener('input', (e) => {
+    state.settings.fMaxHz = parseFloat(e.target.value || '1200');
+  });
+  els.inpYinThreshold.addEventListener('input', (e) => {
+    state.settings.yinThreshold = parseFloat(e.target.value || '0.1');
+  });
+  els.inpMpmCutoff.addEventListener('input', (e) => {
+    state.settings.mpmCutoff = parseFloat(e.target.value || '0.3');
+  });
+  els.inpOnset.addEventListener('input', (e) => {
+    state.settings.onsetSensitivity = parseFloat(e.target.value || '0.5');
   });
   els.inpMinDuration.addEventListener('input', (e) => {
     state.settings.minNoteDurationMs = parseInt(e.target.value || '100', 10);
   });
+  els.inpVelMin.addEventListener('input', (e) => {
+    state.settings.velocityMin = parseInt(e.target.value || '32', 10);
+  });
+  els.inpVelMax.addEventListener('input', (e) => {
+    state.settings.velocityMax = parseInt(e.target.value || '127', 10);
+  });
+  els.selVelCurve.addEventListener('change', (e) => {
+    state.settings.velocityCurve = parseFloat(e.target.value || '0');
+  });
+  els.chkScaleSnap.addEventListener('change', (e) => {
+    state.settings.scaleSnap = !!e.target.checked;
+  });
+  els.chkPitchBend.addEventListener('change', (e) => {
+    state.settings.pitchBend = !!e.target.checked;
+  });
+  els.chkMpe.addEventListener('change', (e) => {
+    state.settings.mpe = !!e.target.checked;
+  });
+  els.chkModWheel.addEventListener('change', (e) => {
+    state.settings.modWheel = !!e.target.checked;
+  });
+  for (const mode of ['major', 'minor']) {
+    for (let tonic = 0; tonic < 12; tonic++) {
+      els.selNotationKey.add(new Option(keyName(tonic, mode), `${tonic}:${mode}`));
+    }
+  }
+  els.selNotationKey.addEventListener('change', (e) => {
+    state.settings.notationKey = e.target.value;
+  });
+  els.chkExportImported.addEventListener('change', (e) => {
+    state.settings.exportImported = !!e.target.checked;
+  });
+  els.chkExportPerformance.addEventListener('change', (e) => {
+    state.settings.exportPerformance = !!e.target.checked;
+  });
+  els.inpBendRange.addEventListener('input', (e) => {
+    state.settings.bendRange = parseInt(e.target.value || '2', 10);
+  });
+  els.inpBendCents.addEventListener('input', (e) => {
+    state.settings.bendThresholdCents = parseFloat(e.target.value || '5');
+  });
   els.selQuantize.addEventListener('change', (e) => {
     state.settings.quantize = e.target.value;
+    state.pianoRoll?.setGrid(rollGrid());
+  });
+  els.inpSwing.addEventListener('input', (e) => {
+    state.settings.swing = parseFloat(e.target.value || '0');
+  });
+  els.inpQuantizeStrength.addEventListener('input', (e) => {
+    state.settings.quantizeStrength = parseFloat(e.target.value || '1');
+  });
+  els.chkQuantizeStart.addEventListener('change', (e) => {
+    state.settings.quantizeStart = !!e.target.checked;
+  });
+  els.selLengthMode.addEventListener('change', (e) => {
+    state.settings.lengthMode = e.target.value;
+  });
+  els.inpBpm.addEventListener('input', (e) => {
+    state.settings.bpm = parseFloat(e.target.value) || 0;
+  });
+  const tapTempo = createTapTempo({
+    onTempo: (bpm) => {
+      state.settings.bpm = Math.round(bpm);
+      els.inpBpm.value = String(state.settings.bpm);
+    }
+  });
+  els.btnTapTempo.addEventListener('click', () => tapTempo.tap());
+  els.selHarmonyStyle.addEventListener('change', (e) => {
+    state.settings.harmonyStyle = e.target.value;
+  });
+  els.selAccompanimentPattern.addEventListener('change', (e) => {
+    state.settings.accompanimentPattern = e.target.value;
+  });
+  els.selChordsPerBar.addEventListener('change', (e) => {
+    state.settings.chordsPerBar = parseInt(e.target.value, 10) || 1;
+  });
+  els.btnHarmonize.addEventListener('click', () => {
+    const notes = state.lastExtractedNotes;
+    if (!(notes && notes.length) || state.lastExtractedDrums) return;
+    resumeAudioContext();
+    state.lastAccompaniment = harmonize({
+      notes,
+      key: state.lastExtractedKey,
+      bpm: state.lastTempo?.bpm || 120,
+      offsetSec: state.lastTempo?.offsetSec || 0,
+      chordsPerBar: state.settings.chordsPerBar,
+      style: state.settings.harmonyStyle,
+      pattern: state.settings.accompanimentPattern
+    });
+    const { chords, key } = state.lastAccompaniment;
+    setStatus(`Chords in ${key.name}: ${chords.map(c => c.name).join(' | ')}.`);
+    auditionNotes([...notes, ...state.lastAccompaniment.notes]);
+  });
+  els.btnBenchmark.addEventListener('click', async () => {
+    const method = state.settings.highAccuracy ? 'pyin' : 'yin';
+    els.btnBenchmark.disabled = true;
+    setStatus(`Benchmarking ${methodLabel(method)} on 10 s of synthetic audio…`);
+    try {
+      const r = await benchmarkPitch({ method, seconds: 10 });
+      setStatus(`${methodLabel(r.method)}: ${Math.round(r.fft.fps)} frames/s with FFT vs ${Math.round(r.direct.fps)} direct (${r.speedup.toFixed(1)}× faster).`);
+    } catch (e) {
+      console.error(e);
+      setStatus('Benchmark failed.');
+    } finally {
+      els.btnBenchmark.disabled = false;
+    }
   });
   els.inpGate.addEventListener('input', (e) => {
     state.settings.noiseGateDb = parseInt(e.target.value || '-40', 10);
@@ -306,6 +699,33 @@ function wireSettings() {
     state.settings.hpfHz = parseInt(e.target.value || '30', 10);
     state.engine?.setHPF?.(state.settings.hpfHz);
   });
+  els.chkAdaptiveGate.addEventListener('change', (e) => {
+    state.settings.adaptiveGate = !!e.target.checked;
+  });
+  els.chkPreEmphasis.addEventListener('change', (e) => {
+    state.settings.preEmphasis = !!e.target.checked;
+  });
+  els.chkNormalize.addEventListener('change', (e) => {
+    state.settings.normalizeAnalysis = !!e.target.checked;
+  });
+  els.inpLiveHold.addEventListener('input', (e) => {
+    state.settings.liveHoldMs = parseInt(e.target.value || '40', 10);
+  });
+  els.chkLiveBend.addEventListener('change', (e) => {
+    state.settings.liveBend = !!e.target.checked;
+  });
+  els.drumSensitivity.forEach((input) => {
+    input.addEventListener('input', (e) => {
+      state.settings.drumSensitivity[e.target.dataset.drumSensitivity] = parseFloat(e.target.value || '0.5');
+    });
+  });
+  els.inpDrumOnset.addEventListener('input', (e) => {
+    state.settings.drumOnsetSensitivity = parseFloat(e.target.value || '0.6');
+  });
+  // Range, gate and hold apply to a running live session right away
+  for (const type of ['input', 'change']) {
+    els.settingsDialog.addEventListener(type, () => state.live?.setParams(liveVoiceOptions()));
+  }
 }
 
 function wireFooter() {
@@ -328,6 +748,11 @@ function wireFooter() {
 async function onFileChosen(e) {
   const file = e.target.files?.[0];
   if (!file) return;
+  if (/\.midi?$/i.test(file.name) || file.type === 'audio/midi') {
+    await onMidiFileChosen(file);
+    e.target.value = '';
+    return;
+  }
   try {
     setStatus(`Loading file: ${file.name}`);
     const arrayBuf = await file.arrayBuffer();
@@ -343,6 +768,35 @@ async function onFileChosen(e) {
   }
 }
 
+// A .mid from Load replaces the extracted notes: it plays, harmonizes and exports like them
+async function onMidiFileChosen(file) {
+  try {
+    setStatus(`Loading MIDI file: ${file.name}`);
+    const song = await readMidiFile(file);
+    const melodic = song.notes.filter(n => n.channel !== 9);
+    const drums = !melodic.length && song.notes.length > 0;
+    const firstKey = song.keySignatures[0];
+    state.lastImportedSong = song;
+    state.lastExtractedNotes = drums ? song.notes : melodic;
+    state.lastExtractedKey = firstKey && !drums ? keyFromSignature(firstKey.sf, firstKey.mi) : null;
+    state.lastExtractedDrums = drums;
+    state.lastExtractedFromImport = true;
+    state.lastAccompaniment = null;
+    state.lastTempo = { bpm: song.tempos[0].bpm, offsetSec: 0, confidence: 1, detected: false };
+    state.lastSegment = null;
+    loadPianoRoll();
+    const skipped = song.notes.length - state.lastExtractedNotes.length;
+    setStatus(`Imported ${file.name}: ${state.lastExtractedNotes.length} ${drums ? 'drum hits' : 'notes'} from ${song.tracks.length} track${song.tracks.length === 1 ? '' : 's'}`
+      + `${skipped ? ` (${skipped} percussion notes left out)` : ''}${keyLabel({ key: state.lastExtractedKey })}${tempoLabel(state.lastTempo)}.`);
+    setButtonsEnabled();
+    resumeAudioContext();
+    if (state.lastExtractedNotes.length) auditionNotes(state.lastExtractedNotes, playbackSynth());
+  } catch (err) {
+    console.error(err);
+    setStatus('Failed to read MIDI file.');
+  }
+}
+
 async function onToggleRecord() {
   if (state.recording) {
     // Stop recording
@@ -382,6 +836,73 @@ async function onToggleRecord() {
   }
 }
 
+async function onToggleLive() {
+  if (state.live) {
+    stopLive();
+    setStatus('Live mode off.');
+    return;
+  }
+  try {
+    resumeAudioContext();
+    els.btnLive.disabled = true;
+    state.live = await startLiveVoice({
+      ...liveVoiceOptions(),
+      onNoteOn: (midi, velocity) => {
+        state.liveSynth = activeSynth();
+        state.liveSynth?.noteOn(midi, velocity);
+        state.keyboard.highlight(midi, true);
+        recordPerformance(midi, velocity);
+      },
+      onNoteOff: (midi) => {
+        state.liveSynth?.noteOff(midi);
+        state.liveSynth = null;
+        state.keyboard.highlight(midi, false);
+        recordPerformance(midi, 0);
+      },
+      onBend: (midi, semis) => state.liveSynth?.bend?.(midi, semis)
+    });
+    state.performance = { t0: state.engine.context.currentTime, notes: [], open: new Map() };
+    els.btnLive.textContent = 'Stop Live';
+    els.btnLive.classList.add('danger');
+    const target = { instrument: 'instrument', piano: 'piano', drums: 'drum kit' }[state.mode];
+    setStatus(`Live: sing or hum to play the ${target}. Expected latency ≈ ${state.live.getLatency().totalMs.toFixed(0)} ms.`);
+  } catch (e) {
+    console.error(e);
+    state.live = null;
+    setStatus(`Live mode unavailable: ${e.message || 'mic access denied'}`);
+  } finally {
+    els.btnLive.disabled = false;
+  }
+}
+
+function stopLive() {
+  state.live?.stop();
+  state.live = null;
+  const perf = state.performance;
+  if (perf) {
+    const now = state.engine.context.currentTime - perf.t0;
+    for (const n of perf.open.values()) n.tOff = now;
+    if (perf.notes.length) state.lastPerformance = perf.notes;
+    state.performance = null;
+  }
+  els.btnLive.textContent = 'Live';
+  els.btnLive.classList.remove('danger');
+}
+
+// Live notes as { pitch, tOn, tOff, velocity }, seconds from the session start (velocity 0 = off)
+function recordPerformance(midi, velocity) {
+  const perf = state.performance;
+  if (!perf) return;
+  const t = state.engine.context.currentTime - perf.t0;
+  const held = perf.open.get(midi);
+  if (held) { held.tOff = t; perf.open.delete(midi); }
+  if (velocity > 0) {
+    const note = { pitch: midi, tOn: t, tOff: t, velocity };
+    perf.notes.push(note);
+    perf.open.set(midi, note);
+  }
+}
+
 async function loadBufferIntoWaveform(audioBuffer, label = 'Audio') {
   state.currentBuffer = audioBuffer;
   await state.waveform.loadBuffer(audioBuffer);
@@ -406,25 +927,22 @@ function ensureRegion() {
 async function previewSelectedSegment() {
   if (!ensureRegion()) return;
   const { start, end } = state.currentRegion;
-  const ctx = state.engine.context;
-  const src = ctx.createBufferSource();
-  src.buffer = state.currentBuffer;
-  const gain = ctx.createGain();
-  gain.gain.value = 1.0;
-  src.connect(gain).connect(ctx.destination);
-  // small fades to avoid clicks
-  // (handled in engine or here; engine may already have DC/HPF)
   resumeAudioContext();
+  // Route through the engine so the preview shares the master chain (DC/HPF/limiter)
   const duration = Math.max(0, end - start);
-  src.start(0, start, duration);
+  state.preview?.stop();
+  state.preview = state.engine.playBuffer(state.currentBuffer, { offset: start, duration });
   setStatus(`Previewing ${duration.toFixed(3)}s.`);
 }
 
 async function detectBaseNoteFromRegion() {
   // Lightweight estimation via segmentToMidi (fast mode) to pick a base note
+  const job = startAnalysisJob();
   try {
     const { start, end } = state.currentRegion;
     const notesOut = await segmentToMidi({
+      signal: job.signal,
+      onProgress: job.onProgress,
       audioBuffer: state.currentBuffer,
       start,
       end,
@@ -433,7 +951,8 @@ async function detectBaseNoteFromRegion() {
       quantize: 'off',
       minDurMs: 60,
       hysteresisCents: 35,
-      gateDb: state.settings.noiseGateDb
+      gateDb: state.settings.noiseGateDb,
+      ...pitchAnalysisOptions()
     });
     if (notesOut?.notes?.length) {
       // pick the most common pitch
@@ -445,22 +964,171 @@ async function detectBaseNoteFromRegion() {
       return topPitch; // MIDI note number
     }
   } catch (e) {
+    if (isAbort(e)) throw e;
     console.warn('Base note detection failed, defaulting to C3', e);
+  } finally {
+    job.end();
   }
   return 60; // C4 (or use 48 for C3) depending on your preference
 }
 
-async function auditionNotes(notes) {
-  if (!state.piano) return;
-  // Simple real-time schedule relative to now
-  const now = state.engine.context.currentTime + 0.1;
-  const scale = 1.0; // assuming notes use seconds relative to segment start
-  for (const n of notes) {
-    state.piano.noteOn(n.pitch, (n.velocity ?? 0.9), now + n.tOn * scale);
-    state.piano.noteOff(n.pitch, now + n.tOff * scale);
+// Drums mode's Extract MIDI: beatbox hits -> GM drum notes, auditioned on the drum kit
+async function extractDrums(job) {
+  setStatus('Transcribing beatbox → drums…');
+  const { start, end } = state.currentRegion;
+  const out = await segmentToDrums({
+    signal: job.signal,
+    onProgress: job.onProgress,
+    audioBuffer: state.currentBuffer,
+    start,
+    end,
+    sensitivity: state.settings.drumSensitivity,
+    onsetSensitivity: state.settings.drumOnsetSensitivity,
+    gateDb: state.settings.noiseGateDb,
+    adaptiveGate: state.settings.adaptiveGate,
+    quantize: state.settings.quantize,
+    swing: state.settings.swing,
+    quantizeStrength: state.settings.quantizeStrength,
+    bpm: state.settings.bpm
+  });
+  state.lastExtractedNotes = out.notes;
+  state.lastExtractedKey = null;
+  state.lastExtractedDrums = true;
+  state.lastExtractedFromImport = false;
+  state.lastAccompaniment = null;
+  state.lastTempo = out.tempo;
+  state.lastSegment = { buffer: state.currentBuffer, start, end };
+  if (out.tempo?.detected) els.inpBpm.placeholder = `auto (${Math.round(out.tempo.bpm)})`;
+  loadPianoRoll();
+  const { kick, snare, hihat, other } = out.counts;
+  if (!out.hits.length) {
+    setStatus('No hits found in the selection: raise Hit detection or lower the noise gate in Settings.');
+    setButtonsEnabled();
+    return;
+  }
+  setStatus(`Transcribed ${out.notes.length} hits (${kick} kick, ${snare} snare, ${hihat} hi-hat, ${other} other)${tempoLabel(out.tempo)}.`);
+  setButtonsEnabled();
+  if (out.notes.length) auditionNotes(out.notes, state.drumKit);
+}
+
+// Show freshly extracted / imported notes in the piano roll (f0: { times, hz } for sung segments)
+function loadPianoRoll(f0 = null) {
+  state.pianoRoll.setNotes(state.lastExtractedNotes || [], { f0: f0?.hz ? f0 : null });
+  state.pianoRoll.setGrid(rollGrid());
+  updateRollHistory();
+}
+
+function onNotesEdited(notes) {
+  // Drawn notes join the imported track / drum channel the rest came from
+  const home = state.lastExtractedFromImport || state.lastExtractedDrums
+    ? notes.find(n => n.channel != null)
+    : null;
+  state.lastExtractedNotes = home
+    ? notes.map(n => (n.channel != null ? n : { ...n, track: home.track, channel: home.channel }))
+    : notes;
+  updateRollHistory();
+  setButtonsEnabled();
+}
+
+function showRollSelection(selected) {
+  state.rollSelection = selected;
+  if (state.settings.loopPlayback) updateLoop();
+  els.btnRollSplit.disabled = !selected.length;
+  els.btnRollMerge.disabled = selected.length < 2;
+  els.btnRollDelete.disabled = !selected.length;
+  els.inpRollVelocity.disabled = !selected.length;
+  if (selected.length) {
+    const mean = selected.reduce((s, n) => s + (n.velocity ?? 0.9), 0) / selected.length;
+    els.inpRollVelocity.value = String(Math.round(mean * 127));
   }
 }
 
+function updateRollHistory() {
+  els.btnRollUndo.disabled = !state.pianoRoll.canUndo();
+  els.btnRollRedo.disabled = !state.pianoRoll.canRedo();
+}
+
+// Snap grid: the quantize step at the tempo the notes were extracted with
+function rollGrid() {
+  const beats = gridToBeats(state.settings.quantize);
+  if (!beats || !state.lastTempo) return null;
+  const beatSec = 60 / (state.lastTempo.bpm || 120);
+  return { stepSec: beats * beatSec, beatSec, offsetSec: state.lastTempo.offsetSec || 0 };
+}
+
+const PREVIEW_SEC = 0.25;
+
+// Short blip of a note picked or moved in the piano roll
+function previewNote(midi, velocity = 0.9) {
+  const synth = playbackSynth();
+  if (!synth) return;
+  resumeAudioContext();
+  // Both ends on the audio clock: every instrument releases at the note-off's time (not when
+  // it's called), so the release runs its full length instead of being cut by a stop timer
+  const now = state.engine.context.currentTime;
+  synth.noteOn(midi, velocity, now);
+  synth.noteOff(midi, now + PREVIEW_SEC);
+}
+
+// Play MIDI / the transport's play button: the notes and any accompaniment, on the current instrument
+function playExtractedNotes() {
+  if (!(state.lastExtractedNotes && state.lastExtractedNotes.length)) return;
+  auditionNotes([...state.lastExtractedNotes, ...(state.lastAccompaniment?.notes || [])], playbackSynth());
+}
+
+// Every audition goes through the transport: tempo, loop and A/B settings apply, and
+// extracted notes bring the recording they came from for the A/B mix
+function auditionNotes(notes, synth = state.piano) {
+  if (!synth || !state.transport) return;
+  resumeAudioContext();
+  const seg = state.lastSegment;
+  els.auditionNote.textContent = '';
+  state.transport.play({
+    notes,
+    synth,
+    loop: state.settings.loopPlayback ? loopRegion() : null,
+    rate: state.settings.playbackRate,
+    audio: seg && { buffer: seg.buffer, offset: seg.start, duration: seg.end - seg.start },
+    mix: state.settings.abMix
+  });
+  followPlayhead(seg && seg.buffer === state.currentBuffer ? seg.start : null);
+  setButtonsEnabled();
+}
+
+// Light up each note on the keyboard as it sounds and name its vibrato/glides
+function showPlayingNote(note, isOn) {
+  state.keyboard.highlight(note.pitch, isOn);
+  if (!isOn) return;
+  const text = describeExpression(note.expression);
+  els.auditionNote.textContent = text ? `${midiName(note.pitch)}: ${text}` : '';
+}
+
+// Piano-roll playhead (and the waveform cursor, for extracted notes) track the transport
+function followPlayhead(segmentStart) {
+  cancelAnimationFrame(state.playheadFrame);
+  const step = () => {
+    const t = state.transport.position();
+    state.pianoRoll.setPlayhead(t);
+    if (t == null) return;
+    if (segmentStart != null) state.waveform.setCursor(segmentStart + t);
+    state.playheadFrame = requestAnimationFrame(step);
+  };
+  step();
+}
+
+// The selected notes' span, or the whole take when nothing is selected
+function loopRegion() {
+  const sel = state.rollSelection;
+  if (!sel.length) return { start: 0, end: Infinity };
+  return { start: Math.min(...sel.map(n => n.tOn)), end: Math.max(...sel.map(n => n.tOff)) };
+}
+
+function updateLoop() {
+  const region = state.settings.loopPlayback ? loopRegion() : null;
+  state.transport.setLoop(region);
+  state.pianoRoll.setLoopRegion(region);
+}
+
 async function buildInstrumentPresetJSON() {
   // Export selected audio segment as base64 + current params from controls
   const { start, end } = state.currentRegion;
@@ -489,10 +1157,196 @@ async function buildInstrumentPresetJSON() {
 }
 
 // ---------- Utilities ----------
+// A cancellable pitch analysis. Progress (and the Cancel button) only shows up once
+// the worker reports progress, i.e. for segments long enough to take a while.
+function startAnalysisJob() {
+  const controller = new AbortController();
+  state.analysisJobs.add(controller);
+  return {
+    signal: controller.signal,
+    onProgress: (fraction) => {
+      els.analysisProgressBar.value = fraction;
+      els.analysisProgress.hidden = false;
+    },
+    end: () => {
+      state.analysisJobs.delete(controller);
+      if (!state.analysisJobs.size) els.analysisProgress.hidden = true;
+    }
+  };
+}
+
+function isAbort(e) {
+  return e?.name === 'AbortError';
+}
+
+function currentPitchRange() {
+  const { pitchRange, fMinHz, fMaxHz } = state.settings;
+  return resolvePitchRange(pitchRange, fMinHz, fMaxHz);
+}
+
+function liveVoiceOptions() {
+  const { fMin, fMax } = currentPitchRange();
+  return {
+    fMin,
+    fMax,
+    gateDb: state.settings.noiseGateDb,
+    holdMs: state.settings.liveHoldMs,
+    bend: state.settings.liveBend
+  };
+}
+
+// Sheet music of the extracted (or imported) melody in the chosen or detected key
+function exportNotation(format) {
+  if (state.lastExtractedDrums) {
+    setStatus('Sheet-music export needs pitched notes; drum hits only export as MIDI.');
+    return;
+  }
+  const [tonic, mode] = state.settings.notationKey.split(':');
+  const key = mode ? { tonic: +tonic, mode } : state.lastExtractedKey;
+  const song = state.lastExtractedFromImport ? state.lastImportedSong : null;
+  const opts = {
+    notes: state.lastExtractedNotes,
+    key,
+    bpm: state.lastTempo?.bpm || 120,
+    offsetSec: state.lastTempo?.offsetSec || 0,
+    timeSignature: song?.timeSignatures[0] || { numerator: 4, denominator: 4 },
+    title: song?.tracks.find(t => t.name)?.name || 'Voice2Synth melody'
+  };
+  if (format === 'abc') {
+    downloadBlob(new Blob([exportAbc(opts)], { type: 'text/vnd.abc' }), 'segment.abc');
+  } else {
+    downloadBlob(new Blob([exportMusicXML(opts)], { type: 'application/vnd.recordare.musicxml+xml' }), 'segment.musicxml');
+  }
+  setStatus(`Exported ${format === 'abc' ? 'ABC' : 'MusicXML'}${key ? ` in ${key.name || keyName(key.tonic, key.mode)}` : ''}.`);
+}
+
+// Tracks for Export MIDI: the extracted (or imported) notes first, then the accompaniment,
+// the imported file's tracks and the last live performance when those are included.
+// An imported file is re-exported per source track and channel, with its names and programs.
+function exportTracks() {
+  const song = state.lastImportedSong;
+  const tracks = [];
+  if (state.lastExtractedFromImport && song) {
+    // Percussion was left out of the notes on import (unless the file is all drums)
+    const percussion = state.lastExtractedDrums ? [] : song.notes.filter(n => n.channel === 9);
+    tracks.push(...songTracks(song, [...state.lastExtractedNotes, ...percussion]));
+  } else {
+    tracks.push({
+      notes: state.lastExtractedNotes,
+      name: state.lastExtractedDrums ? 'Beatbox' : 'Melody',
+      program: state.lastExtractedDrums ? null : 0,
+      drums: state.lastExtractedDrums
+    });
+    if (song && state.settings.exportImported) tracks.push(...songTracks(song, song.notes));
+  }
+  if (state.lastAccompaniment?.notes.length) {
+    tracks.push({ notes: state.lastAccompaniment.notes, name: 'Accompaniment', program: 0 });
+  }
+  if (state.settings.exportPerformance && state.lastPerformance?.length) {
+    tracks.push({ notes: state.lastPerformance, name: 'Live performance', program: 0 });
+  }
+  return tracks;
+}
+
+// Imported notes regrouped by source track and channel
+function songTracks(song, notes) {
+  const groups = new Map();
+  for (const n of notes) {
+    const id = `${n.track ?? 0}:${n.channel ?? 0}`;
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(n);
+  }
+  return [...groups.values()].map((group) => {
+    const { track = 0, channel = 0 } = group[0];
+    const src = song.tracks[track] || {};
+    return {
+      notes: group,
+      name: src.name || `Track ${track + 1}`,
+      instrument: src.instrument,
+      program: src.programs?.find(p => p.channel === channel)?.program ?? null,
+      channel,
+      drums: channel === 9
+    };
+  });
+}
+
+// What Play MIDI and imported files sound on: the drum kit for percussion, else the current
+// instrument (granular or piano), falling back to the piano before an instrument exists
+function playbackSynth() {
+  if (state.lastExtractedDrums) return state.drumKit;
+  return (state.mode === 'instrument' && state.instrument) || state.piano;
+}
+
+// The instrument the keyboard (and live mode) currently plays
+function activeSynth() {
+  if (state.mode === 'instrument') return state.instrument;
+  return state.mode === 'drums' ? state.drumKit : state.piano;
+}
+
+// Shared pitch-tracker options for every segmentToMidi() call
+function pitchAnalysisOptions() {
+  const {
+    pitchRange, fMinHz, fMaxHz, yinThreshold, mpmCutoff, onsetSensitivity,
+    hpfHz, adaptiveGate, preEmphasis, normalizeAnalysis
+  } = state.settings;
+  return {
+    range: pitchRange, fMin: fMinHz, fMax: fMaxHz, yinThreshold, mpmCutoff, onsetSensitivity,
+    hpfHz, adaptiveGate, preEmphasis, normalize: normalizeAnalysis
+  };
+}
+
+// ", 3 with vibrato, 1 glide"
+function expressionLabel(notes) {
+  const vibrato = notes.filter(n => n.expression?.vibrato).length;
+  const glides = notes.reduce((c, n) => c + !!n.expression?.glideIn + !!n.expression?.glideOut, 0);
+  const parts = [];
+  if (vibrato) parts.push(`${vibrato} with vibrato`);
+  if (glides) parts.push(`${glides} glide${glides > 1 ? 's' : ''}`);
+  return parts.length ? `, ${parts.join(', ')}` : '';
+}
+
+function midiName(midi) {
+  const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+  return `${names[midi % 12]}${Math.floor(midi / 12) - 1}`;
+}
+
+// ", 96 BPM" (detected tempos marked with ~)
+function tempoLabel(tempo) {
+  if (!tempo) return '';
+  return `, ${tempo.detected ? '~' : ''}${Math.round(tempo.bpm)} BPM`;
+}
+
+// " in A minor (2 snapped)"
+function keyLabel({ key, notes = [] }) {
+  if (!key) return '';
+  const snapped = notes.filter(n => n.snappedFrom != null).length;
+  return ` in ${key.name}${key.confidence < 0.1 ? '?' : ''}${snapped ? ` (${snapped} snapped)` : ''}`;
+}
+
+// ", gate -47 dB (floor -57 dB)" when the adaptive gate picked the threshold
+function gateLabel(analysis) {
+  if (analysis?.noiseFloorDb == null) return '';
+  return `, gate ${Math.round(analysis.gateDb)} dB (floor ${Math.round(analysis.noiseFloorDb)} dB)`;
+}
+
+function meanConfidence(notes) {
+  if (!notes.length) return 'n/a';
+  const sum = notes.reduce((acc, n) => acc + (n.confidence ?? 1), 0);
+  return (sum / notes.length).toFixed(2);
+}
+
+function methodLabel(method) {
+  switch (method) {
+    case 'pyin': return 'pYIN';
+    case 'mpm': return 'MPM';
+    case 'yin': return 'YIN';
+    default: return method || 'unknown';
+  }
+}
+
 function resumeAudioContext() {
-  const ctx = state.engine?.context;
-  if (ctx && ctx.state !== 'running') {
-    ctx.resume?.();
+  if (state.engine?.context.state !== 'running') {
+    state.engine?.resume();
   }
 }
 
@@ -575,10 +1429,36 @@ function blobToBase64(blob) {
   });
 }
 
-// ---------- CPU meter (simple animation placeholder) ----------
-let cpuAnim = 0;
-(function cpuMeterTick() {
-  cpuAnim = (cpuAnim + 1) % 100;
-  els.cpuMeter.style.background = `linear-gradient(90deg, var(--accent) ${cpuAnim}%, transparent ${cpuAnim}%)`;
-  requestAnimationFrame(cpuMeterTick);
-})();
+// ---------- Render-load meter ----------
+// Reads the worklet's render timing (via instrument.getStats()) and the context latency.
+const RENDER_WARN_LOAD = 0.8; // fraction of the render budget, on the worklet's block-averaged peak
+
+setInterval(function renderMeterTick() {
+  if (!state.engine) return;
+  const stats = state.instrument?.getStats?.() || null;
+  const { totalMs } = state.engine.getLatency();
+  const load = stats?.load ?? null;
+  const loadMax = stats?.loadMax ?? null;
+
+  const pct = load == null ? 0 : Math.min(100, Math.round(load * 100));
+  const warn = loadMax != null && loadMax >= RENDER_WARN_LOAD;
+  els.cpuMeter.style.background = `linear-gradient(90deg, var(${warn ? '--danger' : '--accent'}) ${pct}%, transparent ${pct}%)`;
+  els.cpuMeter.classList.toggle('warn', warn);
+
+  const parts = [`Latency ${totalMs.toFixed(1)} ms`];
+  if (state.live) parts.push(`Live ≈ ${state.live.getLatency().totalMs.toFixed(0)} ms`);
+  if (stats) {
+    parts.push(`Voices ${stats.voices}`);
+    if (stats.engine === 'worklet') {
+      parts.push(`Grains ${stats.grains}`);
+      parts.push(`Render ${pct}% (peak ${Math.round(loadMax * 100)}%)`);
+    } else {
+      parts.push('Render n/a (fallback sampler)');
+    }
+  }
+  if (warn) parts.push('⚠ close to dropouts: reduce grain overlap or voices');
+  els.renderStats.textContent = parts.join(' · ');
+  els.cpuMeter.title = load == null
+    ? 'Audio render load (no worklet instrument active)'
+    : `Audio render load: ${pct}% avg, ${Math.round(loadMax * 100)}% peak of the render budget`;
+}, 250);
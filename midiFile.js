@@ -0,0 +1,235 @@
+// /js/audio/midiFile.js
+// Standard MIDI File reader: formats 0/1 into the note model segmentToMidi() produces.
+//
+// API:
+//   parseMidi(bytes) -> song               // bytes: ArrayBuffer | Uint8Array
+//   await readMidiFile(file) -> song       // File/Blob
+// song:
+//   {
+//     format, ppq,                          // ppq is null for SMPTE time division
+//     notes: [{ pitch, tOn, tOff, velocity, channel, track }],   // all tracks, sorted by tOn
+//     tracks: [{ name, instrument, channel, programs: [{ t, channel, program }], notes }],
+//     tempos: [{ t, tick, bpm }],          // tempo map (always starts at tick 0)
+//     timeSignatures: [{ t, tick, numerator, denominator }],
+//     keySignatures: [{ t, tick, sf, mi }],
+//     markers: [{ t, tick, text }],
+//     durationSec
+//   }
+//   Times (t, tOn, tOff) are seconds from the start of the file, through the tempo map.
+//   velocity is 0..1 (note-on velocity / 127); channel is 0..15 (9 = GM percussion).
+//
+// Notes:
+// - Handles running status, note-on with velocity 0 as note-off, sysex (F0/F7) and every
+//   meta event; unknown metas are skipped by length. Chunks other than MThd/MTrk are ignored.
+// - Format 2 files (independent sequences) are read like format 1.
+// - Overlapping notes on the same channel and pitch are paired first-on/first-off. Notes
+//   still sounding at their track's end are closed there.
+// - Truncated or malformed data throws an Error naming the offset.
+
+const DEFAULT_US_PER_QUARTER = 500000;   // 120 BPM until the first tempo event
+
+export async function readMidiFile(file) {
+  return parseMidi(await file.arrayBuffer());
+}
+
+export function parseMidi(bytes) {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const reader = byteReader(data);
+  if (reader.str(4) !== 'MThd') throw new Error('parseMidi: not a Standard MIDI File (no MThd header)');
+  const headerLen = reader.u32();
+  const headerEnd = reader.pos + headerLen;
+  const format = reader.u16();
+  const ntrks = reader.u16();
+  const division = reader.u16();
+  reader.pos = headerEnd;
+
+  // Raw tick-timed events per track
+  const rawTracks = [];
+  while (rawTracks.length < ntrks && reader.pos + 8 <= data.length) {
+    const tag = reader.str(4);
+    const len = reader.u32();
+    const end = reader.pos + len;
+    if (end > data.length) throw new Error(`parseMidi: chunk ${tag} at ${reader.pos - 8} runs past the end of the file`);
+    if (tag === 'MTrk') rawTracks.push(readTrack(reader, end));
+    reader.pos = end;
+  }
+
+  const tempoMap = buildTempoMap(rawTracks, division);
+  const toSec = tempoMap.toSec;
+  const song = {
+    format,
+    ppq: division & 0x8000 ? null : division,
+    notes: [],
+    tracks: [],
+    tempos: tempoMap.tempos.map(({ tick, usPerQuarter }) => ({ t: toSec(tick), tick, bpm: 60000000 / usPerQuarter })),
+    timeSignatures: [],
+    keySignatures: [],
+    markers: [],
+    durationSec: 0,
+  };
+
+  rawTracks.forEach((events, index) => {
+    const track = { name: '', instrument: '', channel: null, programs: [], notes: [] };
+    const open = new Map();   // channel·128 + pitch -> [note-on events in order]
+    let endTick = 0;
+    for (const ev of events) {
+      endTick = Math.max(endTick, ev.tick);
+      if (ev.type === 'meta') {
+        readMeta(ev, track, song, toSec);
+        continue;
+      }
+      if (ev.type !== 'channel') continue;
+      if (track.channel == null && (ev.status === 0x90 || ev.status === 0x80)) track.channel = ev.channel;
+      if (ev.status === 0xC0) {
+        track.programs.push({ t: toSec(ev.tick), channel: ev.channel, program: ev.data1 });
+        continue;
+      }
+      const id = ev.channel * 128 + ev.data1;
+      if (ev.status === 0x90 && ev.data2 > 0) {
+        if (!open.has(id)) open.set(id, []);
+        open.get(id).push(ev);
+      } else if (ev.status === 0x80 || ev.status === 0x90) {
+        const on = open.get(id)?.shift();
+        if (on) track.notes.push(makeNote(on, ev.tick, index, toSec));
+      }
+    }
+    for (const queue of open.values()) {
+      for (const on of queue) track.notes.push(makeNote(on, endTick, index, toSec));
+    }
+    track.notes.sort((a, b) => a.tOn - b.tOn || a.pitch - b.pitch);
+    song.tracks.push(track);
+    song.notes.push(...track.notes);
+    song.durationSec = Math.max(song.durationSec, toSec(endTick));
+  });
+
+  song.notes.sort((a, b) => a.tOn - b.tOn || a.pitch - b.pitch);
+  for (const list of [song.timeSignatures, song.keySignatures, song.markers]) list.sort((a, b) => a.tick - b.tick);
+  return song;
+}
+
+// Delta-timed events -> [{ tick, type: 'channel' | 'meta' | 'sysex', ... }]
+function readTrack(reader, end) {
+  const events = [];
+  let tick = 0, running = 0;
+  while (reader.pos < end) {
+    tick += reader.varint();
+    let statusByte = reader.u8();
+    if (statusByte === 0xFF) {
+      const metaType = reader.u8();
+      const len = reader.varint();
+      events.push({ tick, type: 'meta', metaType, data: reader.bytes(len) });
+      continue;
+    }
+    if (statusByte === 0xF0 || statusByte === 0xF7) {
+      const len = reader.varint();
+      events.push({ tick, type: 'sysex', data: reader.bytes(len) });
+      running = 0;   // sysex cancels running status
+      continue;
+    }
+    let data1;
+    if (statusByte < 0x80) {
+      // Running status: this byte is already the first data byte
+      if (!running) throw new Error(`parseMidi: data byte without a status at offset ${reader.pos - 1}`);
+      data1 = statusByte;
+      statusByte = running;
+    } else {
+      running = statusByte;
+      data1 = reader.u8();
+    }
+    const kind = statusByte & 0xF0;
+    const data2 = kind === 0xC0 || kind === 0xD0 ? 0 : reader.u8();
+    events.push({ tick, type: 'channel', status: kind, channel: statusByte & 0x0F, data1, data2 });
+  }
+  return events;
+}
+
+function readMeta(ev, track, song, toSec) {
+  const t = toSec(ev.tick);
+  const d = ev.data;
+  switch (ev.metaType) {
+    case 0x03: if (!track.name) track.name = text(d); break;
+    case 0x04: if (!track.instrument) track.instrument = text(d); break;
+    case 0x06: song.markers.push({ t, tick: ev.tick, text: text(d) }); break;
+    case 0x58:
+      if (d.length >= 2) song.timeSignatures.push({ t, tick: ev.tick, numerator: d[0], denominator: 2 ** d[1] });
+      break;
+    case 0x59:
+      if (d.length >= 2) song.keySignatures.push({ t, tick: ev.tick, sf: (d[0] << 24) >> 24, mi: d[1] });
+      break;
+  }
+}
+
+function makeNote(on, offTick, track, toSec) {
+  return {
+    pitch: on.data1,
+    tOn: toSec(on.tick),
+    tOff: toSec(Math.max(on.tick, offTick)),
+    velocity: on.data2 / 127,
+    channel: on.channel,
+    track,
+  };
+}
+
+// Tempo events from every track (format 1 keeps them in the first) -> tick/second conversion
+function buildTempoMap(rawTracks, division) {
+  if (division & 0x8000) {
+    // SMPTE: -frames per second in the high byte, ticks per frame in the low byte
+    const fps = -((division >> 8) << 24 >> 24);
+    const ticksPerSec = (fps === 29 ? 29.97 : fps) * (division & 0xFF);
+    return { tempos: [{ tick: 0, usPerQuarter: DEFAULT_US_PER_QUARTER }], toSec: (tick) => tick / ticksPerSec };
+  }
+  const changes = [];
+  for (const events of rawTracks) {
+    for (const ev of events) {
+      if (ev.type === 'meta' && ev.metaType === 0x51 && ev.data.length >= 3) {
+        changes.push({ tick: ev.tick, usPerQuarter: (ev.data[0] << 16) | (ev.data[1] << 8) | ev.data[2] });
+      }
+    }
+  }
+  changes.sort((a, b) => a.tick - b.tick);
+  const tempos = [{ tick: 0, usPerQuarter: DEFAULT_US_PER_QUARTER, sec: 0 }];
+  for (const c of changes) {
+    const prev = tempos[tempos.length - 1];
+    const sec = prev.sec + (c.tick - prev.tick) * prev.usPerQuarter / 1e6 / division;
+    if (c.tick === prev.tick) { prev.usPerQuarter = c.usPerQuarter; continue; }
+    tempos.push({ tick: c.tick, usPerQuarter: c.usPerQuarter, sec });
+  }
+  const toSec = (tick) => {
+    let lo = 0, hi = tempos.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (tempos[mid].tick <= tick) lo = mid; else hi = mid - 1;
+    }
+    const seg = tempos[lo];
+    return seg.sec + (tick - seg.tick) * seg.usPerQuarter / 1e6 / division;
+  };
+  return { tempos, toSec };
+}
+
+function byteReader(data) {
+  const r = {
+    pos: 0,
+    need(n) {
+      if (r.pos + n > data.length) throw new Error(`parseMidi: unexpected end of data at offset ${r.pos}`);
+    },
+    u8() { r.need(1); return data[r.pos++]; },
+    u16() { r.need(2); const v = (data[r.pos] << 8) | data[r.pos + 1]; r.pos += 2; return v; },
+    u32() { r.need(4); const v = ((data[r.pos] << 24) >>> 0) + (data[r.pos + 1] << 16) + (data[r.pos + 2] << 8) + data[r.pos + 3]; r.pos += 4; return v; },
+    str(n) { r.need(n); const s = String.fromCharCode(...data.subarray(r.pos, r.pos + n)); r.pos += n; return s; },
+    bytes(n) { r.need(n); const b = data.slice(r.pos, r.pos + n); r.pos += n; return b; },
+    varint() {
+      let v = 0;
+      for (let i = 0; i < 4; i++) {
+        const b = r.u8();
+        v = (v << 7) | (b & 0x7F);
+        if (!(b & 0x80)) return v;
+      }
+      throw new Error(`parseMidi: variable-length quantity longer than 4 bytes at offset ${r.pos}`);
+    },
+  };
+  return r;
+}
+
+function text(bytes) {
+  try { return new TextDecoder().decode(bytes).replace(/\0+$/, ''); } catch { return String.fromCharCode(...bytes); }
+}
@@ -0,0 +1,198 @@
+// /js/audio/musicKey.js
+// Key/scale estimation over extracted notes, scale snapping and SMF key signatures.
+//
+// API:
+//   SCALES: { major, minor, dorian, phrygian, lydian, mixolydian } -> semitone steps from the tonic
+//   estimateKey({ notes, f0Hz?, confidence?, modes? = Object.keys(SCALES) })
+//     -> { tonic, mode, name, scale, confidence, candidates } | null
+//        tonic: pitch class 0..11 (0 = C), scale: sorted pitch classes in the key,
+//        confidence: 0..1 (correlation margin over the runner-up), candidates: best 5 { tonic, mode, name, score }
+//   snapToScale(notes, key) -> notes   // out-of-scale notes moved to the nearest scale degree
+//   keySignature(key) -> { sf, mi }    // sharps (+) / flats (-) and 0 = major, 1 = minor, for meta 0x59
+//   keyFromSignature(sf, mi) -> { tonic, mode, name, scale, confidence: 1 }   // the inverse (e.g. SMF import)
+//   keyName(tonic, mode) -> 'F# dorian'
+//   pitchName(pc, sf = 0) -> 'Bb'      // spelled with flats when the key signature has flats (sf < 0)
+//
+// Notes:
+// - The pitch-class profile mixes the notes (weighted by duration and velocity) with the
+//   raw f0 histogram, so held notes count more than blips and mis-segmented notes still
+//   contribute their frames. Each half is normalised so neither dominates.
+// - Major/minor use the Krumhansl–Kessler probe-tone profiles. The church modes share
+//   their pitch set with a major key, so their profiles are built the same way (strong
+//   tonic, then fifth and third, then the remaining degrees) and only win when the tonic
+//   emphasis clearly points at them (MODE_BIAS).
+// - Snapping keeps the note's contour: semis are re-expressed relative to the new pitch.
+//   Ties between two scale degrees go up when the sung pitch leaned sharp (contour mean), else down.
+
+export const SCALES = {
+  major:      [0, 2, 4, 5, 7, 9, 11],
+  minor:      [0, 2, 3, 5, 7, 8, 10],
+  dorian:     [0, 2, 3, 5, 7, 9, 10],
+  phrygian:   [0, 1, 3, 5, 7, 8, 10],
+  lydian:     [0, 2, 4, 6, 7, 9, 11],
+  mixolydian: [0, 2, 4, 5, 7, 9, 10],
+};
+
+// Added to a mode's tonic: the tonic of the major scale with the same notes
+const PARENT_MAJOR_OFFSET = { major: 0, minor: 3, dorian: -2, phrygian: -4, lydian: -5, mixolydian: -7 };
+
+const KK_MAJOR = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const KK_MINOR = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+const MODE_BIAS = 0.97; // modal correlations are scaled by this before ranking
+const SNAP_LEAN_SEMIS = 0.1; // sung sharper than this snaps a between-degrees note up
+
+const NAMES_SHARP = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const NAMES_FLAT = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+const PROFILES = {
+  major: KK_MAJOR,
+  minor: KK_MINOR,
+  dorian: modeProfile(SCALES.dorian),
+  phrygian: modeProfile(SCALES.phrygian),
+  lydian: modeProfile(SCALES.lydian),
+  mixolydian: modeProfile(SCALES.mixolydian),
+};
+
+export function estimateKey({ notes = [], f0Hz, confidence, modes = Object.keys(SCALES) } = {}) {
+  const hist = pitchClassHistogram(notes, f0Hz, confidence);
+  if (!hist) return null;
+
+  const ranked = [];
+  for (const mode of modes) {
+    const profile = PROFILES[mode];
+    if (!profile) continue;
+    const bias = mode === 'major' || mode === 'minor' ? 1 : MODE_BIAS;
+    for (let tonic = 0; tonic < 12; tonic++) {
+      const r = correlate(hist, profile, tonic);
+      ranked.push({ tonic, mode, name: keyName(tonic, mode), score: r * bias });
+    }
+  }
+  if (!ranked.length) return null;
+  ranked.sort((a, b) => b.score - a.score);
+
+  const best = ranked[0];
+  const runnerUp = ranked[1]?.score ?? -1;
+  return {
+    tonic: best.tonic,
+    mode: best.mode,
+    name: best.name,
+    scale: scalePitchClasses(best.tonic, best.mode),
+    confidence: clamp(best.score, 0, 1) * clamp((best.score - runnerUp) * 10, 0, 1),
+    candidates: ranked.slice(0, 5),
+  };
+}
+
+export function snapToScale(notes, key) {
+  if (!key) return notes;
+  const inScale = new Set(key.scale || scalePitchClasses(key.tonic, key.mode));
+  return notes.map(n => {
+    const pc = mod12(n.pitch);
+    if (inScale.has(pc)) return n;
+    const up = inScale.has(mod12(pc + 1));
+    const down = inScale.has(mod12(pc - 1));
+    let shift = down ? -1 : up ? 1 : 0;
+    if (up && down && meanSemis(n.contour) > SNAP_LEAN_SEMIS) shift = 1;
+    if (!shift) return n;
+    const out = { ...n, pitch: clamp(n.pitch + shift, 0, 127), snappedFrom: n.pitch };
+    if (n.contour) {
+      const semis = new Float32Array(n.contour.semis.length);
+      for (let i = 0; i < semis.length; i++) semis[i] = n.contour.semis[i] - shift;
+      out.contour = { t: n.contour.t, semis };
+    }
+    return out;
+  });
+}
+
+export function keySignature(key) {
+  const offset = PARENT_MAJOR_OFFSET[key.mode] ?? 0;
+  const major = mod12(key.tonic + offset);
+  let sf = (major * 7) % 12;   // position on the circle of fifths
+  if (sf > 6) sf -= 12;        // 7..11 sharps read better as 5..1 flats; F# stays 6 sharps
+  return { sf, mi: key.mode === 'minor' ? 1 : 0 };
+}
+
+export function keyFromSignature(sf, mi) {
+  const mode = mi ? 'minor' : 'major';
+  const tonic = mod12(sf * 7 - (mi ? PARENT_MAJOR_OFFSET.minor : 0));
+  return { tonic, mode, name: keyName(tonic, mode), scale: scalePitchClasses(tonic, mode), confidence: 1 };
+}
+
+export function keyName(tonic, mode) {
+  return `${pitchName(tonic, keySignature({ tonic, mode }).sf)} ${mode}`;
+}
+
+export function pitchName(pc, sf = 0) {
+  return (sf < 0 ? NAMES_FLAT : NAMES_SHARP)[mod12(pc)];
+}
+
+function scalePitchClasses(tonic, mode) {
+  return (SCALES[mode] || SCALES.major).map(s => mod12(tonic + s)).sort((a, b) => a - b);
+}
+
+// Duration×velocity note weights plus confidence-weighted voiced frames, each normalised
+function pitchClassHistogram(notes, f0Hz, confidence) {
+  const fromNotes = new Float64Array(12);
+  let noteTotal = 0;
+  for (const n of notes) {
+    const w = Math.max(0, n.tOff - n.tOn) * (n.velocity ?? 0.9);
+    fromNotes[mod12(n.pitch)] += w;
+    noteTotal += w;
+  }
+
+  const fromFrames = new Float64Array(12);
+  let frameTotal = 0;
+  if (f0Hz) {
+    for (let i = 0; i < f0Hz.length; i++) {
+      const hz = f0Hz[i];
+      if (!(hz > 0)) continue;
+      const w = confidence ? confidence[i] : 1;
+      fromFrames[mod12(Math.round(69 + 12 * Math.log2(hz / 440)))] += w;
+      frameTotal += w;
+    }
+  }
+
+  if (noteTotal <= 0 && frameTotal <= 0) return null;
+  const hist = new Float64Array(12);
+  for (let pc = 0; pc < 12; pc++) {
+    if (noteTotal > 0) hist[pc] += fromNotes[pc] / noteTotal;
+    if (frameTotal > 0) hist[pc] += fromFrames[pc] / frameTotal;
+  }
+  return hist;
+}
+
+// Pearson correlation of the histogram with the profile rotated to `tonic`
+function correlate(hist, profile, tonic) {
+  let mh = 0, mp = 0;
+  for (let i = 0; i < 12; i++) { mh += hist[i]; mp += profile[i]; }
+  mh /= 12; mp /= 12;
+  let num = 0, dh = 0, dp = 0;
+  for (let i = 0; i < 12; i++) {
+    const h = hist[mod12(tonic + i)] - mh;
+    const p = profile[i] - mp;
+    num += h * p;
+    dh += h * h;
+    dp += p * p;
+  }
+  return dh > 0 && dp > 0 ? num / Math.sqrt(dh * dp) : 0;
+}
+
+// Probe-tone-like weights for a mode: tonic > fifth/third > other degrees > chromatic notes
+function modeProfile(steps) {
+  const p = new Array(12).fill(2.4);
+  for (const s of steps) p[s] = 3.7;
+  p[0] = 6.3;
+  if (steps.includes(7)) p[7] = 5.0;
+  const third = steps.includes(4) ? 4 : 3;
+  p[third] = 4.4;
+  return p;
+}
+
+function meanSemis(contour) {
+  if (!contour || !contour.semis.length) return 0;
+  let s = 0;
+  for (const v of contour.semis) s += v;
+  return s / contour.semis.length;
+}
+
+function mod12(n) { return ((n % 12) + 12) % 12; }
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
@@ -0,0 +1,332 @@
+// /js/audio/notation.js
+// Sheet-music export of an extracted melody: MusicXML (partwise) and ABC.
+//
+// API:
+//   exportMusicXML({ notes, key, bpm, offsetSec, timeSignature, title }) -> string
+//   exportAbc({ notes, key, bpm, offsetSec, timeSignature, title }) -> string
+//     notes: segmentToMidi notes (seconds); key: { tonic, mode } or null (= C major / A minor
+//     spelling with sharps); bpm/offsetSec: the beat grid (segmentToMidi's tempo, offsetSec = a
+//     downbeat); timeSignature: { numerator, denominator } (default 4/4); title: string
+//   spellPitch(midi, key, next = null) -> { step: 'C'..'B', alter: -2..2, octave }
+//     next: the pitch the note moves to (MIDI), which decides how a note outside the key is spelled
+//
+// Notes:
+// - Times are rounded to a sixteenth-note grid of the given tempo. The melody is made
+//   monophonic: overlapping notes are cut at the next start, simultaneous starts keep the
+//   highest note. Notes before the first downbeat start a pickup bar (written as a full bar
+//   with a leading rest).
+// - Notes and rests are split at bar lines (notes tied across) and then into single or dotted
+//   values; a value longer than what's left of its beat only starts on a beat (and then spans
+//   whole or dotted beats), so rhythms stay readable. 6/8-style meters (numerator divisible
+//   by 3 over 8) beat in dotted quarters.
+// - Spelling follows the key: scale degrees get consecutive letters (F# major spells E#,
+//   not F). A note between two degrees is the lower one raised when the melody goes up from
+//   it and the upper one lowered when it goes down; minor keys always raise the 6th and 7th
+//   (D minor: B natural and C#, never Cb / Db). Without a next note the key signature's
+//   direction decides. Accidentals are written against the key signature and carry through
+//   the bar, as in engraving.
+
+import { SCALES, keySignature, keyName } from './musicKey.js';
+
+const UNITS_PER_QUARTER = 4;     // sixteenth-note grid (MusicXML divisions)
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const NATURAL_PC = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+// Note values in grid units -> MusicXML type, dotted
+const VALUES = [
+  { units: 16, type: 'whole', dot: false },
+  { units: 12, type: 'half', dot: true },
+  { units: 8, type: 'half', dot: false },
+  { units: 6, type: 'quarter', dot: true },
+  { units: 4, type: 'quarter', dot: false },
+  { units: 3, type: 'eighth', dot: true },
+  { units: 2, type: 'eighth', dot: false },
+  { units: 1, type: '16th', dot: false },
+];
+const ABC_MODES = { major: '', minor: 'm', dorian: 'dor', phrygian: 'phr', lydian: 'lyd', mixolydian: 'mix' };
+
+export function exportMusicXML(opts) {
+  const score = layout(opts);
+  const { key, meter, measures, title, bpm } = score;
+  const sig = key ? keySignature(key) : { sf: 0, mi: 0 };
+  const clef = score.lowVoice ? '<sign>F</sign><line>4</line>' : '<sign>G</sign><line>2</line>';
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="4.0">',
+    `  <work><work-title>${xml(title)}</work-title></work>`,
+    '  <identification><encoding><software>Voice2Synth</software></encoding></identification>',
+    '  <part-list><score-part id="P1"><part-name>Voice</part-name></score-part></part-list>',
+    '  <part id="P1">',
+  ];
+  measures.forEach((events, m) => {
+    out.push(`    <measure number="${m + 1}">`);
+    if (m === 0) {
+      out.push(
+        '      <attributes>',
+        `        <divisions>${UNITS_PER_QUARTER}</divisions>`,
+        `        <key><fifths>${sig.sf}</fifths><mode>${key?.mode || 'major'}</mode></key>`,
+        `        <time><beats>${meter.numerator}</beats><beat-type>${meter.denominator}</beat-type></time>`,
+        `        <clef>${clef}</clef>`,
+        '      </attributes>',
+        '      <direction placement="above"><direction-type><metronome>',
+        `        <beat-unit>quarter</beat-unit><per-minute>${Math.round(bpm)}</per-minute>`,
+        `      </metronome></direction-type><sound tempo="${Math.round(bpm)}"/></direction>`
+      );
+    }
+    for (const ev of events) {
+      if (ev.rest && ev.wholeBar) {
+        out.push(`      <note><rest measure="yes"/><duration>${ev.units}</duration><voice>1</voice></note>`);
+        continue;
+      }
+      const v = valueOf(ev.units);
+      const parts = ['      <note>'];
+      if (ev.rest) {
+        parts.push('<rest/>');
+      } else {
+        const { step, alter, octave } = ev.spelled;
+        parts.push(`<pitch><step>${step}</step>${alter ? `<alter>${alter}</alter>` : ''}<octave>${octave}</octave></pitch>`);
+      }
+      parts.push(`<duration>${ev.units}</duration>`);
+      if (ev.tieStop) parts.push('<tie type="stop"/>');
+      if (ev.tieStart) parts.push('<tie type="start"/>');
+      parts.push(`<voice>1</voice><type>${v.type}</type>${v.dot ? '<dot/>' : ''}`);
+      if (ev.accidental != null) parts.push(`<accidental>${XML_ACCIDENTALS[ev.accidental]}</accidental>`);
+      if (ev.tieStart || ev.tieStop) {
+        parts.push(`<notations>${ev.tieStop ? '<tied type="stop"/>' : ''}${ev.tieStart ? '<tied type="start"/>' : ''}</notations>`);
+      }
+      parts.push('</note>');
+      out.push(parts.join(''));
+    }
+    if (m === measures.length - 1) out.push('      <barline location="right"><bar-style>light-heavy</bar-style></barline>');
+    out.push('    </measure>');
+  });
+  out.push('  </part>', '</score-partwise>', '');
+  return out.join('\n');
+}
+
+export function exportAbc(opts) {
+  const score = layout(opts);
+  const { key, meter, measures, title, bpm } = score;
+  const tonic = key ? keyName(key.tonic, key.mode).split(' ')[0] : 'C';
+  const lines = [
+    'X:1',
+    `T:${title.replace(/\n/g, ' ')}`,
+    `M:${meter.numerator}/${meter.denominator}`,
+    'L:1/16',
+    `Q:1/4=${Math.round(bpm)}`,
+    `K:${tonic}${key ? ABC_MODES[key.mode] ?? '' : ''}${score.lowVoice ? ' clef=bass' : ''}`,
+  ];
+  const bars = measures.map((events) => {
+    let text = '', pos = 0;
+    for (const ev of events) {
+      // Break beams at beat boundaries
+      if (pos > 0 && pos % score.beatUnits === 0) text += ' ';
+      text += ev.rest ? 'z' : abcPitch(ev);
+      if (ev.units !== 1) text += ev.units;
+      if (ev.tieStart) text += '-';
+      pos += ev.units;
+    }
+    return text;
+  });
+  for (let i = 0; i < bars.length; i += 4) {
+    const last = i + 4 >= bars.length;
+    lines.push(bars.slice(i, i + 4).join(' | ') + (last ? ' |]' : ' |'));
+  }
+  return lines.join('\n') + '\n';
+}
+
+export function spellPitch(midi, key, next = null) {
+  const pc = mod12(midi);
+  let step, alter;
+  const degrees = key ? scaleSpelling(key) : null;
+  const sf = key ? keySignature(key).sf : 0;
+  if (degrees && degrees.has(pc)) {
+    ({ step, alter } = degrees.get(pc));
+  } else if (degrees) {
+    ({ step, alter } = chromaticSpelling(pc, key, degrees, next == null ? sf >= 0 : next > midi));
+  } else {
+    const name = (sf < 0 ? FLAT_NAMES : SHARP_NAMES)[pc];
+    step = name[0];
+    alter = name[1] === '#' ? 1 : name[1] === 'b' ? -1 : 0;
+  }
+  // B# belongs to the octave below, Cb to the one above
+  return { step, alter, octave: Math.floor((midi - alter - NATURAL_PC[step]) / 12) - 1 };
+}
+
+// pc -> { step, alter } for the key's scale, consecutive letters from the tonic
+function scaleSpelling(key) {
+  const steps = SCALES[key.mode] || SCALES.major;
+  const tonicName = keyName(key.tonic, key.mode).split(' ')[0];
+  const first = LETTERS.indexOf(tonicName[0]);
+  const map = new Map();
+  steps.forEach((s, i) => {
+    const pc = mod12(key.tonic + s);
+    const step = LETTERS[(first + i) % 7];
+    let alter = pc - NATURAL_PC[step];
+    if (alter > 6) alter -= 12;
+    if (alter < -6) alter += 12;
+    map.set(pc, { step, alter });
+  });
+  return map;
+}
+
+// A pc between two scale degrees: the lower one raised or the upper one lowered, whichever
+// `up` asks for (minor's 6th and 7th are always raised); never a double accidental when
+// the other spelling has a single one
+function chromaticSpelling(pc, key, degrees, up) {
+  const below = degrees.get(mod12(pc - 1));
+  const above = degrees.get(mod12(pc + 1));
+  const raised = below && { step: below.step, alter: below.alter + 1 };
+  const lowered = above && { step: above.step, alter: above.alter - 1 };
+  if (!raised || !lowered) return raised || lowered;
+  const degree = mod12(pc - key.tonic);
+  if (key.mode === 'minor' && (degree === 9 || degree === 11)) return raised;
+  if (Math.abs(raised.alter) > 1 && Math.abs(lowered.alter) <= 1) return lowered;
+  if (Math.abs(lowered.alter) > 1 && Math.abs(raised.alter) <= 1) return raised;
+  return up ? raised : lowered;
+}
+
+// notes -> { key, meter, measures: [[{ units, rest, spelled, tieStart, tieStop, accidental }]], ... }
+function layout({ notes = [], key = null, bpm = 120, offsetSec = 0, timeSignature = null, title = 'Melody' }) {
+  const meter = {
+    numerator: clamp(Math.round(timeSignature?.numerator) || 4, 1, 32),
+    denominator: [1, 2, 4, 8, 16].includes(timeSignature?.denominator) ? timeSignature.denominator : 4,
+  };
+  const barUnits = meter.numerator * UNITS_PER_QUARTER * 4 / meter.denominator;
+  const compound = meter.denominator === 8 && meter.numerator % 3 === 0 && meter.numerator > 3;
+  const beatUnits = compound ? 6 : UNITS_PER_QUARTER * 4 / meter.denominator;
+  const unitSec = 60 / Math.max(1, bpm) / UNITS_PER_QUARTER;
+
+  // Grid positions, monophonic
+  const sorted = notes.filter(n => n.tOff > n.tOn)
+    .sort((a, b) => a.tOn - b.tOn || b.pitch - a.pitch);
+  let origin = offsetSec;
+  if (sorted.length) while (origin > sorted[0].tOn + unitSec / 2) origin -= barUnits * unitSec;
+  const line = [];
+  for (const n of sorted) {
+    const start = Math.max(0, Math.round((n.tOn - origin) / unitSec));
+    const end = Math.max(start + 1, Math.round((n.tOff - origin) / unitSec));
+    const prev = line[line.length - 1];
+    if (prev && start <= prev.start) continue;               // same grid start: keep the higher one
+    if (prev && prev.end > start) prev.end = start;
+    line.push({ pitch: n.pitch, start, end });
+  }
+
+  // Events with rests, split at bar lines
+  const total = Math.max(barUnits, Math.ceil((line.length ? line[line.length - 1].end : 0) / barUnits) * barUnits);
+  const measures = Array.from({ length: total / barUnits }, () => []);
+  const push = (start, end, note) => {
+    for (let t = start; t < end;) {
+      const m = Math.floor(t / barUnits);
+      const stop = Math.min(end, (m + 1) * barUnits);
+      for (const piece of splitValues(t - m * barUnits, stop - t, beatUnits)) {
+        measures[m].push({ units: piece, rest: !note, pitch: note?.pitch, tieStop: !!note && t > start });
+        t += piece;
+      }
+    }
+  };
+  let cursor = 0;
+  for (const n of line) {
+    if (n.start > cursor) push(cursor, n.start, null);
+    push(n.start, n.end, n);
+    cursor = n.end;
+  }
+  if (cursor < total) push(cursor, total, null);
+
+  for (const events of measures) {
+    if (events.every(e => e.rest)) {
+      events.splice(0, events.length, { units: barUnits, rest: true, wholeBar: true });
+    }
+  }
+  spellMeasures(measures, key);
+
+  const pitches = line.map(n => n.pitch).sort((a, b) => a - b);
+  return {
+    key,
+    meter,
+    measures,
+    beatUnits,
+    bpm,
+    title: String(title || 'Melody'),
+    lowVoice: pitches.length > 0 && pitches[pitches.length >> 1] < 57,
+  };
+}
+
+// Tie flags between consecutive pieces, spelling and accidentals (reset every bar)
+function spellMeasures(measures, key) {
+  const keyAlters = keySignatureAlters(key);
+  // The pitch each note moves on to (across rests and bar lines), for chromatic spelling
+  const notes = measures.flat().filter(e => !e.rest);
+  for (let i = notes.length - 1, next = null, later = null; i >= 0; i--) {
+    if (notes[i].pitch !== later) { next = later; later = notes[i].pitch; }
+    notes[i].nextPitch = next;
+  }
+  let prev = null;
+  for (const events of measures) {
+    const current = new Map();   // step+octave -> alter in force this bar
+    for (const ev of events) {
+      if (ev.rest) { prev = null; continue; }
+      if (ev.tieStop && prev) prev.tieStart = true;
+      ev.spelled = spellPitch(ev.pitch, key, ev.nextPitch);
+      const { step, alter, octave } = ev.spelled;
+      const id = step + octave;
+      const inForce = current.has(id) ? current.get(id) : keyAlters[step];
+      if (alter !== inForce && !ev.tieStop) ev.accidental = alter;
+      current.set(id, alter);
+      prev = ev;
+    }
+  }
+}
+
+function keySignatureAlters(key) {
+  const alters = { C: 0, D: 0, E: 0, F: 0, G: 0, A: 0, B: 0 };
+  const sf = key ? keySignature(key).sf : 0;
+  const order = sf >= 0 ? SHARP_ORDER : [...SHARP_ORDER].reverse();
+  for (let i = 0; i < Math.abs(sf); i++) alters[order[i]] = Math.sign(sf);
+  return alters;
+}
+
+// A span inside one bar -> note values; longer values only from a beat (or within the beat)
+function splitValues(pos, length, beatUnits) {
+  const out = [];
+  while (length > 0) {
+    const intoBeat = pos % beatUnits;
+    const v = VALUES.find(v => v.units <= length && (intoBeat === 0 ? onBeat(v, beatUnits) : intoBeat + v.units <= beatUnits));
+    const units = v ? v.units : 1;
+    out.push(units);
+    pos += units;
+    length -= units;
+  }
+  return out;
+}
+
+// Whole beats, dotted whole beats (a dotted quarter in 4/4) or less than a beat
+function onBeat(v, beatUnits) {
+  if (v.units < beatUnits || v.units % beatUnits === 0) return true;
+  return v.dot && (v.units / 1.5) % beatUnits === 0;
+}
+
+function valueOf(units) {
+  return VALUES.find(v => v.units === units) || VALUES[VALUES.length - 1];
+}
+
+const XML_ACCIDENTALS = { '-2': 'flat-flat', '-1': 'flat', 0: 'natural', 1: 'sharp', 2: 'double-sharp' };
+const ABC_ACCIDENTALS = { '-2': '__', '-1': '_', 0: '=', 1: '^', 2: '^^' };
+
+function abcPitch(ev) {
+  const { step, octave } = ev.spelled;
+  let s = ev.accidental != null ? ABC_ACCIDENTALS[ev.accidental] : '';
+  if (octave >= 5) s += step.toLowerCase() + "'".repeat(octave - 5);
+  else s += step + ','.repeat(Math.max(0, 4 - octave));
+  return s;
+}
+
+function xml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function mod12(n) { return ((n % 12) + 12) % 12; }
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
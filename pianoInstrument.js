@@ -13,6 +13,9 @@
 //   multisamples under /assets/samples/piano/.
 // - If Tone is missing, we fall back to a super-simplified WebAudio "pluck"
 //   (so you still hear something), but quality/piano realism will be limited.
+// - Both paths play on the engine's shared AudioContext; call connect(engine.masterGain).
+
+import { getAudioContext } from './engine.js';
 
 export async function createPiano({ assetsBaseUrl = './assets/samples/piano/' } = {}) {
   const hasTone = !!window.Tone && !!Tone.Sampler;
@@ -54,10 +57,9 @@ async function createTonePiano(base) {
     curve: 'linear',
   });
 
-  // Gain node to allow local control (optional—Tone routes to Destination by default)
+  // Local output gain; routed into the engine's master bus via connect()
   const out = new Tone.Gain(1);
   sampler.connect(out);
-  out.toDestination(); // Note: in initAudio(), Tone.Destination is routed into engine.masterGain
 
   // Wait for samples to load
   await Tone.loaded();
@@ -82,9 +84,8 @@ async function createTonePiano(base) {
     // You could map envelope/etc here if you add more piano params later.
   }
 
-  function connect(/* node */) {
-    // No-op: In this app, Tone.Destination is already connected into the engine chain.
-    // If you want to route elsewhere, you can modify engine.js to expose a Tone.Gain bus.
+  function connect(node) {
+    out.connect(node);
   }
 
   function disconnect() {
@@ -103,13 +104,15 @@ async function createTonePiano(base) {
 // ---------------- WebAudio fallback (simple pluck) ----------------
 
 function createFallbackPiano() {
-  const ctx = new (window.AudioContext || window.webkitAudioContext)();
+  const ctx = getAudioContext();
+  const out = ctx.createGain();
+  out.gain.value = 1.0;
 
   const params = {
     velocityCurve: 0.0,
   };
 
-  const voices = new Map(); // midi -> { osc, gain, filter, stopTimer }
+  const voices = new Map(); // midi -> { osc, gain, filter }
 
   function noteOn(midi, velocity = 0.9, when = ctx.currentTime) {
     const freq = 440 * Math.pow(2, (midi - 69) / 12);
@@ -126,7 +129,7 @@ function createFallbackPiano() {
     osc.type = 'triangle';
     osc.frequency.value = freq;
 
-    osc.connect(filter).connect(gain).connect(ctx.destination);
+    osc.connect(filter).connect(gain).connect(out);
 
     const now = Math.max(ctx.currentTime, when);
     gain.gain.cancelScheduledValues(now);
@@ -136,23 +139,27 @@ function createFallbackPiano() {
 
     osc.start(now);
 
-    voices.set(midi, { osc, gain, filter, stopTimer: null });
+    voices.set(midi, { osc, gain, filter });
   }
 
   function noteOff(midi, when = ctx.currentTime) {
     const v = voices.get(midi);
     if (!v) return;
     const now = Math.max(ctx.currentTime, when);
-    v.gain.gain.cancelScheduledValues(now);
-    const cur = Math.max(0.00001, v.gain.gain.value);
-    v.gain.gain.setValueAtTime(cur, now);
+    if (now > ctx.currentTime && v.gain.gain.cancelAndHoldAtTime) {
+      v.gain.gain.cancelAndHoldAtTime(now);
+    } else {
+      v.gain.gain.cancelScheduledValues(now);
+      v.gain.gain.setValueAtTime(Math.max(0.00001, v.gain.gain.value), now);
+    }
     v.gain.gain.exponentialRampToValueAtTime(0.00001, now + 0.25);
 
-    clearTimeoutSafe(v.stopTimer);
-    v.stopTimer = setTimeout(() => {
-      try { v.osc.stop(); } catch {}
-      try { v.osc.disconnect(); v.gain.disconnect(); v.filter.disconnect(); } catch {}
-    }, 300);
+    // Stop on the audio clock, after the release: look-ahead note-offs arrive before `when`
+    const { osc, gain, filter } = v;
+    osc.onended = () => {
+      try { osc.disconnect(); gain.disconnect(); filter.disconnect(); } catch {}
+    };
+    try { osc.stop(now + 0.3); } catch {}
     voices.delete(midi);
   }
 
@@ -160,10 +167,11 @@ function createFallbackPiano() {
     Object.assign(params, next);
   }
 
-  function connect() {}
-  function disconnect() {}
+  function connect(node) { out.connect(node); }
+  function disconnect() { try { out.disconnect(); } catch {} }
   function dispose() {
     for (const [m] of voices) noteOff(m);
+    disconnect();
   }
 
   return { noteOn, noteOff, setParams, connect, disconnect, dispose };
@@ -186,7 +194,3 @@ function applyVelocityCurve(v, curve) {
   const out = Math.pow(Math.max(0, Math.min(1, v)), exp);
   return Math.max(0.001, Math.min(1, out));
 }
-
-function clearTimeoutSafe(id) {
-  if (id) { try { clearTimeout(id); } catch {} }
-}
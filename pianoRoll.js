@@ -0,0 +1,604 @@
+// /js/ui/pianoRoll.js
+// Piano-roll editor for extracted notes, drawn over the f0 curve they were taken from.
+// API: initPianoRoll(containerEl, { onChange(notes), onSelect(selectedNotes), onPreview(midi, velocity) })
+// Methods: setNotes(notes, { f0 } = {}), getNotes(), setGrid({ stepSec, beatSec, offsetSec } | null),
+//          setSnap(enabled), setTool('select' | 'draw' | 'split'), deleteSelected(), mergeSelected(),
+//          splitSelected(), setVelocity(v), undo(), redo(), canUndo(), canRedo(),
+//          setPlayhead(t | null), setLoopRegion({ start, end } | null), dispose()
+//
+// Notes:
+// - Notes are { pitch, tOn, tOff, velocity, ... } in seconds of segment time, like
+//   state.lastExtractedNotes; their other fields (contour, expression, confidence) ride
+//   along. Every edit hands onChange a fresh, tOn-sorted copy.
+// - f0: { times, hz } (the analysis frame times and f0 track); unvoiced frames (hz <= 0) break the line.
+// - select tool: click / shift-click / drag a box to select; drag a note to move it (time and
+//   pitch), drag its right edge to resize. draw: drag on empty space to add a note.
+//   split: click a note to cut it there. Notes can still be selected and dragged in draw mode.
+// - Keys (roll focused): Delete/Backspace, Ctrl+Z, Ctrl+Shift+Z or Ctrl+Y, Ctrl+A, arrows move
+//   the selection a semitone (Shift: an octave) or a grid step.
+// - Times snap to the grid (the quantize step at the extracted tempo; swing is ignored) when
+//   snapping is on; Alt while dragging places freely. Without a grid they snap to 10 ms.
+// - Moved notes keep their contour relative to the new pitch; split and merged notes get their
+//   contours cut / joined and their expression (vibrato, glides) re-detected.
+
+import { attachExpression } from '../audio/expression.js';
+
+const HEIGHT = 220;
+const EDGE_PX = 6;              // right-edge grab zone for resizing
+const MIN_SPAN = 24;            // semitones always visible
+const FREE_SNAP_SEC = 0.01;
+const MAX_UNDO = 100;
+const NEW_NOTE_VELOCITY = 0.8;
+
+export function initPianoRoll(containerEl, opts = {}) {
+  const onChange = opts.onChange || (() => {});
+  const onSelect = opts.onSelect || (() => {});
+  const onPreview = opts.onPreview || (() => {});
+
+  const state = {
+    notes: [],
+    selected: new Set(),
+    f0: null,                   // { times, midi: Float32Array (NaN = unvoiced) }
+    grid: null,                 // { stepSec, beatSec, offsetSec }
+    snap: true,
+    tool: 'select',
+    past: [],
+    future: [],
+    drag: null,
+    playhead: null,             // note time of the transport, drawn as a line
+    loop: null,                 // { start, end } shaded behind the notes
+    pitchLo: 48,
+    pitchHi: 72,
+    endSec: 4,
+  };
+
+  const canvas = document.createElement('canvas');
+  canvas.className = 'piano-roll-canvas';
+  canvas.tabIndex = 0;
+  canvas.setAttribute('aria-label', 'Piano roll');
+  containerEl.innerHTML = '';
+  containerEl.classList.add('piano-roll');
+  containerEl.appendChild(canvas);
+  const g = canvas.getContext('2d');
+  let width = 0;
+
+  const resizeObserver = new ResizeObserver(() => resize());
+  resizeObserver.observe(containerEl);
+  canvas.addEventListener('pointerdown', onPointerDown);
+  canvas.addEventListener('pointermove', onPointerMove);
+  canvas.addEventListener('pointerup', onPointerUp);
+  canvas.addEventListener('pointercancel', onPointerUp);
+  canvas.addEventListener('keydown', onKeyDown);
+  canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+  // ---- View ----
+  function resize() {
+    const dpr = window.devicePixelRatio || 1;
+    width = Math.max(1, containerEl.clientWidth);
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${HEIGHT}px`;
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(HEIGHT * dpr);
+    g.setTransform(dpr, 0, 0, dpr, 0, 0);
+    draw();
+  }
+
+  function fitView() {
+    let lo = Infinity, hi = -Infinity, end = 1;
+    for (const n of state.notes) {
+      lo = Math.min(lo, n.pitch);
+      hi = Math.max(hi, n.pitch);
+      end = Math.max(end, n.tOff);
+    }
+    if (state.f0) {
+      const { times, midi } = state.f0;
+      for (let i = 0; i < midi.length; i++) {
+        if (!Number.isFinite(midi[i])) continue;
+        lo = Math.min(lo, Math.floor(midi[i]));
+        hi = Math.max(hi, Math.ceil(midi[i]));
+      }
+      if (times.length) end = Math.max(end, times[times.length - 1]);
+    }
+    if (!Number.isFinite(lo)) { lo = 60; hi = 60; }
+    lo -= 2; hi += 2;
+    const extra = Math.max(0, MIN_SPAN - (hi - lo));
+    lo -= Math.floor(extra / 2);
+    hi += Math.ceil(extra / 2);
+    state.pitchLo = clamp(lo, 0, 127 - MIN_SPAN);
+    state.pitchHi = clamp(hi, state.pitchLo + MIN_SPAN, 127);
+    state.endSec = end * 1.05;
+  }
+
+  // Grow the view when edits move notes outside it
+  function extendView() {
+    for (const n of state.notes) {
+      if (n.pitch < state.pitchLo) state.pitchLo = Math.max(0, n.pitch - 1);
+      if (n.pitch > state.pitchHi) state.pitchHi = Math.min(127, n.pitch + 1);
+      if (n.tOff > state.endSec) state.endSec = n.tOff * 1.05;
+    }
+  }
+
+  const rowH = () => HEIGHT / (state.pitchHi - state.pitchLo + 1);
+  const pxPerSec = () => width / state.endSec;
+  const xOf = (t) => t * pxPerSec();
+  const yOf = (pitch) => (state.pitchHi - pitch) * rowH();
+  const tAt = (x) => Math.max(0, x / pxPerSec());
+  const pitchAt = (y) => clamp(state.pitchHi - Math.floor(y / rowH()), 0, 127);
+
+  function draw() {
+    if (!width) return;
+    const h = rowH();
+    g.clearRect(0, 0, width, HEIGHT);
+
+    // Pitch rows: black keys darker, a line under every C
+    for (let p = state.pitchLo; p <= state.pitchHi; p++) {
+      const y = yOf(p);
+      g.fillStyle = [1, 3, 6, 8, 10].includes(p % 12) ? '#1f1f1f' : '#2a2a2a';
+      g.fillRect(0, y, width, h);
+      if (p % 12 === 0) {
+        g.fillStyle = '#3a3a3a';
+        g.fillRect(0, y + h - 1, width, 1);
+        if (h >= 7) {
+          g.fillStyle = '#888';
+          g.font = `${Math.min(10, h)}px sans-serif`;
+          g.fillText(`C${Math.floor(p / 12) - 1}`, 2, y + h - 2);
+        }
+      }
+    }
+
+    // Grid
+    if (state.grid) {
+      const { stepSec, beatSec, offsetSec } = state.grid;
+      const stepPx = stepSec * pxPerSec();
+      if (stepPx >= 4) {
+        const first = offsetSec - Math.floor(offsetSec / stepSec) * stepSec;
+        for (let t = first; t < state.endSec; t += stepSec) {
+          const onBeat = beatSec && Math.abs(((t - offsetSec) / beatSec) - Math.round((t - offsetSec) / beatSec)) < 1e-3;
+          g.fillStyle = onBeat ? 'rgba(255,255,255,0.14)' : 'rgba(255,255,255,0.05)';
+          g.fillRect(Math.round(xOf(t)), 0, 1, HEIGHT);
+        }
+      }
+    }
+
+    if (state.loop) {
+      const x0 = xOf(state.loop.start), x1 = xOf(Math.min(state.loop.end, state.endSec));
+      g.fillStyle = 'rgba(100,200,255,0.08)';
+      g.fillRect(x0, 0, x1 - x0, HEIGHT);
+      g.fillStyle = 'rgba(100,200,255,0.5)';
+      g.fillRect(Math.round(x0), 0, 1, HEIGHT);
+      g.fillRect(Math.round(x1) - 1, 0, 1, HEIGHT);
+    }
+
+    // f0 curve (centre of the row = exact pitch)
+    if (state.f0) {
+      const { times, midi } = state.f0;
+      g.strokeStyle = 'rgba(255,255,255,0.45)';
+      g.lineWidth = 1.25;
+      g.beginPath();
+      let pen = false;
+      for (let i = 0; i < midi.length; i++) {
+        if (!Number.isFinite(midi[i])) { pen = false; continue; }
+        const x = xOf(times[i]), y = yOf(midi[i]) + h / 2;
+        if (pen) g.lineTo(x, y); else g.moveTo(x, y);
+        pen = true;
+      }
+      g.stroke();
+    }
+
+    // Notes: opacity follows velocity
+    for (const n of state.notes) {
+      const x = xOf(n.tOn), y = yOf(n.pitch);
+      const w = Math.max(2, xOf(n.tOff) - x);
+      const sel = state.selected.has(n);
+      g.globalAlpha = 0.45 + 0.55 * clamp(n.velocity ?? 0.9, 0, 1);
+      g.fillStyle = sel ? '#ffb74d' : '#3fa9f5';
+      g.fillRect(x, y + 1, w, Math.max(2, h - 2));
+      g.globalAlpha = 1;
+      g.strokeStyle = sel ? '#fff' : 'rgba(0,0,0,0.5)';
+      g.lineWidth = 1;
+      g.strokeRect(x + 0.5, y + 1.5, w - 1, Math.max(1, h - 3));
+    }
+
+    if (state.playhead != null) {
+      g.fillStyle = '#fff';
+      g.fillRect(Math.round(xOf(state.playhead)), 0, 1, HEIGHT);
+    }
+
+    // Selection box
+    const d = state.drag;
+    if (d && d.mode === 'box') {
+      g.fillStyle = 'rgba(100,200,255,0.12)';
+      g.strokeStyle = 'rgba(100,200,255,0.8)';
+      const x = Math.min(d.x0, d.x1), y = Math.min(d.y0, d.y1);
+      g.fillRect(x, y, Math.abs(d.x1 - d.x0), Math.abs(d.y1 - d.y0));
+      g.strokeRect(x + 0.5, y + 0.5, Math.abs(d.x1 - d.x0), Math.abs(d.y1 - d.y0));
+    }
+  }
+
+  // ---- Snapping ----
+  function snap(t, free = false) {
+    if (free || !state.snap) return Math.max(0, t);
+    if (!state.grid) return Math.max(0, Math.round(t / FREE_SNAP_SEC) * FREE_SNAP_SEC);
+    const { stepSec, offsetSec } = state.grid;
+    return Math.max(0, offsetSec + Math.round((t - offsetSec) / stepSec) * stepSec);
+  }
+
+  function stepSec() {
+    return state.grid ? state.grid.stepSec : 0.1;
+  }
+
+  // ---- History ----
+  function snapshot() {
+    return state.notes.map(n => ({ ...n }));
+  }
+
+  function checkpoint(before = snapshot()) {
+    state.past.push(before);
+    if (state.past.length > MAX_UNDO) state.past.shift();
+    state.future = [];
+  }
+
+  function restore(notes) {
+    state.notes = notes;
+    state.selected.clear();
+    extendView();
+    changed();
+  }
+
+  function undo() {
+    if (!state.past.length) return;
+    state.future.push(snapshot());
+    restore(state.past.pop());
+  }
+
+  function redo() {
+    if (!state.future.length) return;
+    state.past.push(snapshot());
+    restore(state.future.pop());
+  }
+
+  function changed() {
+    state.notes.sort((a, b) => a.tOn - b.tOn || a.pitch - b.pitch);
+    draw();
+    onChange(state.notes.map(n => ({ ...n })));
+    onSelect([...state.selected]);
+  }
+
+  // ---- Pointer ----
+  function pointerPos(e) {
+    const r = canvas.getBoundingClientRect();
+    return { x: e.clientX - r.left, y: e.clientY - r.top };
+  }
+
+  function noteAt(x, y) {
+    const p = pitchAt(y);
+    for (let i = state.notes.length - 1; i >= 0; i--) {
+      const n = state.notes[i];
+      if (n.pitch === p && x >= xOf(n.tOn) && x <= Math.max(xOf(n.tOn) + 2, xOf(n.tOff))) return n;
+    }
+    return null;
+  }
+
+  function onPointerDown(e) {
+    if (e.button !== 0) return;
+    canvas.focus();
+    const { x, y } = pointerPos(e);
+    const hit = noteAt(x, y);
+    canvas.setPointerCapture?.(e.pointerId);
+
+    if (state.tool === 'split') {
+      if (hit) splitNote(hit, snap(tAt(x), e.altKey));
+      return;
+    }
+    if (!hit && state.tool === 'draw') {
+      const before = snapshot();
+      const tOn = snap(tAt(x), e.altKey);
+      const note = { pitch: pitchAt(y), tOn, tOff: tOn + stepSec(), velocity: NEW_NOTE_VELOCITY };
+      state.notes.push(note);
+      state.selected = new Set([note]);
+      onPreview(note.pitch, note.velocity);
+      state.drag = dragState('resize', x, y, before, true);
+      draw();
+      return;
+    }
+    if (!hit) {
+      if (!e.shiftKey) state.selected.clear();
+      state.drag = { mode: 'box', x0: x, y0: y, x1: x, y1: y, base: new Set(state.selected) };
+      draw();
+      onSelect([...state.selected]);
+      return;
+    }
+
+    if (e.shiftKey && state.selected.has(hit)) {
+      state.selected.delete(hit);
+      draw();
+      onSelect([...state.selected]);
+      return;
+    }
+    if (!state.selected.has(hit)) {
+      if (!e.shiftKey) state.selected.clear();
+      state.selected.add(hit);
+    }
+    onPreview(hit.pitch, hit.velocity ?? 0.9);
+    const nearEdge = x >= xOf(hit.tOff) - EDGE_PX;
+    state.drag = dragState(nearEdge ? 'resize' : 'move', x, y, snapshot(), false, hit);
+    draw();
+    onSelect([...state.selected]);
+  }
+
+  function dragState(mode, x, y, before, created, anchor = null) {
+    const originals = new Map();
+    for (const n of state.selected) originals.set(n, { tOn: n.tOn, tOff: n.tOff, pitch: n.pitch });
+    return { mode, x0: x, y0: y, before, created, moved: created, anchor: anchor || [...state.selected][0], originals };
+  }
+
+  function onPointerMove(e) {
+    const d = state.drag;
+    const { x, y } = pointerPos(e);
+    if (!d) {
+      const hit = state.tool !== 'split' && noteAt(x, y);
+      canvas.style.cursor = state.tool === 'split' ? 'crosshair'
+        : hit ? (x >= xOf(hit.tOff) - EDGE_PX ? 'ew-resize' : 'move')
+        : state.tool === 'draw' ? 'copy' : 'default';
+      return;
+    }
+    if (d.mode === 'box') {
+      d.x1 = x; d.y1 = y;
+      const t0 = tAt(Math.min(d.x0, x)), t1 = tAt(Math.max(d.x0, x));
+      const pHi = pitchAt(Math.min(d.y0, y)), pLo = pitchAt(Math.max(d.y0, y));
+      state.selected = new Set(d.base);
+      for (const n of state.notes) {
+        if (n.tOff >= t0 && n.tOn <= t1 && n.pitch >= pLo && n.pitch <= pHi) state.selected.add(n);
+      }
+      draw();
+      return;
+    }
+    const a = d.originals.get(d.anchor);
+    const dt = tAt(x) - tAt(d.x0);
+    if (d.mode === 'move') {
+      let shift = snap(a.tOn + dt, e.altKey) - a.tOn;
+      for (const o of d.originals.values()) shift = Math.max(shift, -o.tOn);
+      const dp = pitchAt(y) - pitchAt(d.y0);
+      for (const [n, o] of d.originals) {
+        n.tOn = o.tOn + shift;
+        n.tOff = o.tOff + shift;
+        n.pitch = clamp(o.pitch + dp, 0, 127);
+      }
+      if (dp !== d.lastDp) {
+        if (d.lastDp !== undefined) onPreview(d.anchor.pitch, d.anchor.velocity ?? 0.9);
+        d.lastDp = dp;
+      }
+      d.moved = d.moved || shift !== 0 || dp !== 0;
+    } else {
+      const minLen = Math.min(stepSec(), 0.05);
+      const end = Math.max(a.tOn + minLen, snap(a.tOff + dt, e.altKey));
+      const grow = end - a.tOff;
+      for (const [n, o] of d.originals) n.tOff = Math.max(o.tOn + minLen, o.tOff + grow);
+      d.moved = d.moved || grow !== 0;
+    }
+    extendView();
+    draw();
+  }
+
+  function onPointerUp(e) {
+    const d = state.drag;
+    state.drag = null;
+    try { canvas.releasePointerCapture?.(e.pointerId); } catch {}
+    if (!d) return;
+    if (d.mode === 'box') {
+      draw();
+      onSelect([...state.selected]);
+      return;
+    }
+    if (d.moved) {
+      checkpoint(d.before);
+      changed();
+    }
+  }
+
+  // ---- Keys ----
+  function onKeyDown(e) {
+    if (!handleKey(e)) return;
+    // Keep the QWERTY keyboard (a window listener) from playing the key as well
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  function handleKey(e) {
+    const mod = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+    if (mod && key === 'z') { e.shiftKey ? redo() : undo(); return true; }
+    if (mod && key === 'y') { redo(); return true; }
+    if (mod && key === 'a') {
+      state.selected = new Set(state.notes);
+      draw();
+      onSelect([...state.selected]);
+      return true;
+    }
+    if (e.key === 'Delete' || e.key === 'Backspace') { deleteSelected(); return true; }
+    const moves = {
+      ArrowUp: [0, e.shiftKey ? 12 : 1],
+      ArrowDown: [0, e.shiftKey ? -12 : -1],
+      ArrowLeft: [-stepSec(), 0],
+      ArrowRight: [stepSec(), 0],
+    };
+    const mv = moves[e.key];
+    if (!mv || !state.selected.size) return false;
+    let [dt] = mv;
+    const dp = mv[1];
+    for (const n of state.selected) dt = Math.max(dt, -n.tOn);
+    checkpoint();
+    for (const n of state.selected) {
+      n.tOn += dt;
+      n.tOff += dt;
+      n.pitch = clamp(n.pitch + dp, 0, 127);
+    }
+    if (dp) onPreview([...state.selected][0].pitch, 0.8);
+    extendView();
+    changed();
+    return true;
+  }
+
+  // ---- Edits ----
+  function deleteSelected() {
+    if (!state.selected.size) return;
+    checkpoint();
+    state.notes = state.notes.filter(n => !state.selected.has(n));
+    state.selected.clear();
+    changed();
+  }
+
+  function splitNote(n, t) {
+    const before = snapshot();
+    const second = cutNote(n, t);
+    if (!second) return;
+    checkpoint(before);
+    state.selected = new Set([second]);
+    changed();
+  }
+
+  // Selected notes at their middle (on the grid where possible)
+  function splitSelected() {
+    const before = snapshot();
+    const parts = [];
+    for (const n of state.selected) {
+      let t = snap((n.tOn + n.tOff) / 2);
+      if (!(t > n.tOn + 1e-3 && t < n.tOff - 1e-3)) t = (n.tOn + n.tOff) / 2;
+      const second = cutNote(n, t);
+      if (second) parts.push(n, second);
+    }
+    if (!parts.length) return;
+    checkpoint(before);
+    state.selected = new Set(parts);
+    changed();
+  }
+
+  // n ends at t and a copy starts there; null when t isn't inside the note
+  function cutNote(n, t) {
+    if (!(t > n.tOn + 1e-3 && t < n.tOff - 1e-3)) return null;
+    const second = { ...n, tOn: t };
+    if (n.contour) [n.contour, second.contour] = splitContour(n.contour, t - n.tOn);
+    n.tOff = t;
+    state.notes.push(second);
+    attachExpression([n, second]);
+    return second;
+  }
+
+  // Selected notes -> one note from the first start to the last end, at the pitch that sounded longest
+  function mergeSelected() {
+    const group = [...state.selected].sort((a, b) => a.tOn - b.tOn);
+    if (group.length < 2) return;
+    checkpoint();
+    const longest = group.reduce((m, n) => (n.tOff - n.tOn > m.tOff - m.tOn ? n : m));
+    const merged = {
+      ...group[0],
+      pitch: longest.pitch,
+      tOff: Math.max(...group.map(n => n.tOff)),
+      velocity: Math.max(...group.map(n => n.velocity ?? 0.9)),
+    };
+    merged.contour = joinContours(group, merged);
+    attachExpression([merged]);
+    state.notes = state.notes.filter(n => !state.selected.has(n));
+    state.notes.push(merged);
+    state.selected = new Set([merged]);
+    changed();
+  }
+
+  function setVelocity(v) {
+    if (!state.selected.size) return;
+    checkpoint();
+    for (const n of state.selected) n.velocity = clamp(v, 0.01, 1);
+    changed();
+  }
+
+  // ---- Public controls ----
+  function setNotes(notes, { f0 = null } = {}) {
+    state.notes = (notes || []).map(n => ({ ...n }));
+    state.selected.clear();
+    state.past = [];
+    state.future = [];
+    state.f0 = f0 && f0.times && f0.hz ? {
+      times: f0.times,
+      midi: Float32Array.from(f0.hz, hz => (hz > 0 ? 69 + 12 * Math.log2(hz / 440) : NaN)),
+    } : null;
+    fitView();
+    draw();
+    onSelect([]);
+  }
+
+  function getNotes() {
+    return state.notes.map(n => ({ ...n }));
+  }
+
+  function setGrid(grid) {
+    state.grid = grid && grid.stepSec > 0 ? { beatSec: 0, offsetSec: 0, ...grid } : null;
+    draw();
+  }
+
+  function setSnap(enabled) { state.snap = !!enabled; }
+
+  function setTool(tool) {
+    state.tool = ['select', 'draw', 'split'].includes(tool) ? tool : 'select';
+  }
+
+  function setPlayhead(t) {
+    state.playhead = Number.isFinite(t) ? t : null;
+    draw();
+  }
+
+  function setLoopRegion(region) {
+    state.loop = region && region.end > region.start ? { start: region.start, end: region.end } : null;
+    draw();
+  }
+
+  function dispose() {
+    resizeObserver.disconnect();
+    containerEl.innerHTML = '';
+  }
+
+  resize();
+
+  return {
+    setNotes,
+    getNotes,
+    setGrid,
+    setSnap,
+    setTool,
+    deleteSelected,
+    mergeSelected,
+    splitSelected,
+    setVelocity,
+    undo,
+    redo,
+    canUndo: () => state.past.length > 0,
+    canRedo: () => state.future.length > 0,
+    setPlayhead,
+    setLoopRegion,
+    dispose,
+  };
+}
+
+// contour (t relative to tOn) cut at `cut` seconds; the second half restarts at 0
+function splitContour(c, cut) {
+  let k = 0;
+  while (k < c.t.length && c.t[k] < cut) k++;
+  const second = { t: c.t.slice(k), semis: c.semis.slice(k) };
+  for (let i = 0; i < second.t.length; i++) second.t[i] -= cut;
+  return [{ t: c.t.slice(0, k), semis: c.semis.slice(0, k) }, second];
+}
+
+// The group's contours on the merged note's time base, relative to its pitch
+function joinContours(group, merged) {
+  const t = [], semis = [];
+  for (const n of group) {
+    if (!n.contour) continue;
+    for (let i = 0; i < n.contour.t.length; i++) {
+      t.push(n.contour.t[i] + n.tOn - merged.tOn);
+      semis.push(n.contour.semis[i] + n.pitch - merged.pitch);
+    }
+  }
+  if (!t.length) return undefined;
+  return { t: Float32Array.from(t), semis: Float32Array.from(semis) };
+}
+
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
@@ -0,0 +1,150 @@
+// /worklets/pitch-tracker-processor.js
+// AudioWorkletProcessor: low-latency YIN pitch tracking of a live input (mic).
+//
+// Message API (via node.port.postMessage from the main thread):
+//  - { type: 'setParams', payload: { fMin, fMax, threshold, hopMs } }
+//
+// Messages posted back to the main thread:
+//  - { type: 'pitch', payload: { hz, confidence, rms, time } }   (once per hop)
+//      * hz: 0 when no period was found
+//      * confidence: 1 - CMND dip (0..1)
+//      * rms: linear RMS of the analysis window
+//      * time: AudioContext time (sec) at the end of the analysed window
+//  - { type: 'config', payload: { windowSec, hopSec, analysisRate } }  after every setParams
+//
+// Notes:
+//  - Input is mixed to mono and decimated by 2 above 32 kHz (voice pitch doesn't need
+//    more bandwidth), which quarters the cost of the O(W·tau) difference function.
+//  - The window holds two periods of fMin; a note can't be recognised sooner than
+//    that, so it dominates the analysis latency (see windowSec in 'config').
+//  - Only the gate-free raw estimate is sent; note decisions (gate, hold, hysteresis)
+//    live in the main thread (liveVoice.js) so they can change without touching audio.
+//
+// This file must be added via: audioContext.audioWorklet.addModule('/worklets/pitch-tracker-processor.js')
+
+class PitchTrackerProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.decim = sampleRate > 32000 ? 2 : 1;
+    this.rate = sampleRate / this.decim;
+    this.decimAcc = 0;
+    this.decimN = 0;
+
+    this.fMin = 60;
+    this.fMax = 1200;
+    this.threshold = 0.15;
+    this.hopMs = 10;
+    this.configure();
+
+    this.port.onmessage = (e) => this.handleMessage(e.data);
+  }
+
+  handleMessage(msg) {
+    if (!msg || msg.type !== 'setParams') return;
+    const p = msg.payload || {};
+    if (typeof p.fMin === 'number') this.fMin = clamp(p.fMin, 20, 4000);
+    if (typeof p.fMax === 'number') this.fMax = clamp(p.fMax, this.fMin * 1.5, 8000);
+    if (typeof p.threshold === 'number') this.threshold = clamp(p.threshold, 0.02, 0.5);
+    if (typeof p.hopMs === 'number') this.hopMs = clamp(p.hopMs, 3, 50);
+    this.configure();
+  }
+
+  configure() {
+    const rate = this.rate;
+    this.tauMax = Math.min(Math.ceil(rate / this.fMin), 2048);
+    this.tauMin = Math.max(2, Math.floor(rate / this.fMax));
+    this.win = this.tauMax; // integration length: one period of fMin
+    this.size = this.win + this.tauMax + 2;
+    this.hop = Math.max(16, Math.round(this.hopMs / 1000 * rate));
+
+    this.ring = new Float32Array(this.size);
+    this.frame = new Float32Array(this.size);
+    this.cmnd = new Float32Array(this.tauMax + 2);
+    this.writePos = 0;
+    this.filled = 0;
+    this.sinceHop = 0;
+
+    this.port.postMessage({
+      type: 'config',
+      payload: { windowSec: this.size / rate, hopSec: this.hop / rate, analysisRate: rate }
+    });
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || !input.length || !input[0]) return true;
+    const chs = input.length;
+    const n = input[0].length;
+
+    for (let i = 0; i < n; i++) {
+      let s = 0;
+      for (let ch = 0; ch < chs; ch++) s += input[ch][i];
+      this.decimAcc += s / chs;
+      if (++this.decimN < this.decim) continue;
+      this.push(this.decimAcc / this.decim);
+      this.decimAcc = 0;
+      this.decimN = 0;
+    }
+    return true;
+  }
+
+  push(v) {
+    this.ring[this.writePos] = v;
+    this.writePos = (this.writePos + 1) % this.size;
+    if (this.filled < this.size) this.filled++;
+    if (++this.sinceHop < this.hop || this.filled < this.size) return;
+    this.sinceHop = 0;
+    this.analyze();
+  }
+
+  analyze() {
+    // Unroll the ring buffer, oldest sample first
+    const { ring, frame, size, win, tauMin, tauMax, cmnd } = this;
+    const head = this.writePos;
+    frame.set(ring.subarray(head), 0);
+    frame.set(ring.subarray(0, head), size - head);
+
+    let energy = 0;
+    for (let i = 0; i < win; i++) energy += frame[i] * frame[i];
+    const rms = Math.sqrt(energy / win);
+
+    // Difference function + cumulative mean normalisation
+    cmnd[0] = 1;
+    let running = 0;
+    for (let tau = 1; tau <= tauMax; tau++) {
+      let d = 0;
+      for (let i = 0; i < win; i++) {
+        const diff = frame[i] - frame[i + tau];
+        d += diff * diff;
+      }
+      running += d;
+      cmnd[tau] = running > 0 ? d * tau / running : 1;
+    }
+
+    // First dip under the threshold, then walk to its local minimum
+    let tau = -1;
+    for (let t = tauMin; t < tauMax; t++) {
+      if (cmnd[t] < this.threshold) {
+        while (t + 1 < tauMax && cmnd[t + 1] < cmnd[t]) t++;
+        tau = t;
+        break;
+      }
+    }
+
+    let hz = 0, confidence = 0;
+    if (tau > 0) {
+      // Parabolic interpolation around the dip
+      const a = cmnd[tau - 1], b = cmnd[tau], c = cmnd[tau + 1];
+      const den = a - 2 * b + c;
+      const shift = den !== 0 ? clamp(0.5 * (a - c) / den, -1, 1) : 0;
+      hz = this.rate / (tau + shift);
+      confidence = clamp(1 - b, 0, 1);
+    }
+
+    this.port.postMessage({ type: 'pitch', payload: { hz, confidence, rms, time: currentTime } });
+  }
+}
+
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+
+registerProcessor('pitch-tracker-processor', PitchTrackerProcessor);
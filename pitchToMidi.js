@@ -4,25 +4,157 @@
 // API:
 //   await segmentToMidi({
 //     audioBuffer, start, end, sampleRate,
-//     method: 'yin' | 'mpm' | 'crepe',
-//     quantize: 'off' | '1/8' | '1/16' | '1/32',
+//     method: 'yin' | 'mpm' | 'pyin'   ('crepe' is an alias for 'pyin'),
+//     quantize: 'off' | '1/4' | '1/8' | '1/16' | '1/32',   // + 't' for triplets, 'd' for dotted ('1/8t', '1/16d')
+//     swing: 0,                 // 0..1: every second grid line is pushed late by up to a third of a step
+//     quantizeStrength: 1,      // 0..1: how far notes move towards the grid
+//     quantizeStart: true,      // snap note starts
+//     lengthMode: 'end',        // 'end' (snap ends) | 'length' (round durations to steps) | 'keep' | 'legato'
 //     minDurMs: 100,
-//     hysteresisCents: 20,
-//     gateDb: -40
-//   }) -> { notes: [{pitch, tOn, tOff, velocity}], f0?: Float32Array }
+//     hysteresisCents: 20,      // margin beyond ±50 cents before a pitch counts as another note
+//     gateDb: -40,              // fixed gate; with adaptiveGate only the fallback for segments without silence
+//     adaptiveGate: true,       // place the gate above the segment's own noise floor
+//     hpfHz: 30,                // high-pass before pitch tracking (kept below 0.7·fMin)
+//     preEmphasis: false,       // first-order pre-emphasis (0.97) before pitch tracking
+//     normalize: true,          // peak-normalise the analysed copy of the segment
+//     range: 'voice',           // key of PITCH_RANGES, or 'custom' (uses fMin/fMax)
+//     fMin, fMax,               // Hz; only needed for range 'custom'
+//     yinThreshold: 0.1,        // YIN absolute threshold (also centres pYIN's prior)
+//     mpmCutoff: 0.3,           // minimum NSDF peak for a voiced MPM frame
+//     onsetSensitivity: 0.5,    // 0 = off; higher splits more same-pitch re-articulations
+//     minConfidence: 0,         // drop notes whose mean frame confidence is below this (0..1)
+//     velocityMin: 0.25,        // velocity range the note loudness is mapped onto (0..1)
+//     velocityMax: 1.0,
+//     velocityCurve: 0,         // -1..+1 (negative = more soft notes lifted, positive = harder)
+//     bpm: 0,                   // > 0: tempo for quantization; 0 = estimate it from the onsets (see tempo.js)
+//     scaleSnap: false,         // move out-of-key notes to the nearest degree of the detected key
+//     signal,                   // AbortSignal: abort() rejects with an AbortError and stops the worker job
+//     onProgress                // (fraction 0..1) => void, called a few times per second on long segments
+//   }) -> { notes: [{pitch, tOn, tOff, velocity, confidence, contour, expression}], f0?: Float32Array, method, key, tempo, analysis }
+//   method: the pitch tracker that actually ran in the worker
+//   tempo: { bpm, offsetSec, confidence, detected } (offsetSec = first beat); 120 BPM / 0 s if nothing to go on
+//   key: estimateKey() result for the segment (see musicKey.js), or null without voiced frames
+//   analysis: { hopSec, frameSec, frameTimes, confidence, rms, voiced, novelty, onsets,
+//               gateDb, noiseFloorDb } from the worker (gateDb = the gate actually applied, in dBFS
+//               of the conditioned signal; noiseFloorDb is null unless adaptiveGate)
 //
-//   exportMidi({ notes, bpm=120, ppq=480 }) -> Blob
+//   resolvePitchRange(range, fMin?, fMax?) -> { fMin, fMax }
+//
+//   await detectOnsets({ audioBuffer, start, end, onsetSensitivity = 0.5, gateDb = -40,
+//                        adaptiveGate = true, normalize = true, signal, onProgress })
+//     -> { onsets: Float32Array (sec), novelty, levelDb, frameTimes, hopSec, sr, mono }
+//     mono: the un-conditioned mono segment, for per-hit feature extraction (see drums.js)
+//
+//   quantizeNotes(notes, grid, { bpm, offsetSec, swing, strength, quantizeStart, lengthMode })
+//     -> notes   // the quantizer segmentToMidi uses (same option meanings)
+//   gridToBeats(grid) -> grid step in quarter notes ('1/16' -> 0.25, '1/8t' -> 1/3), null for 'off'
+//
+//   exportMidi({ notes, bpm=120, ppq=480,
+//     tempos: [],                // tempo map [{ t, bpm }] in note time (e.g. parseMidi's): replaces bpm
+//     beatOffsetSec: 0,          // first beat in note time: notes are shifted so beats land on quarter notes
+//     pitchBend: false,          // follow each note's f0 contour with pitch-bend events
+//     bendRange: 2,              // semitones, written as RPN 0 on every channel used
+//     bendThresholdCents: 5,     // thinning: skip bends smaller than this...
+//     bendIntervalSec: 0.01,     // ...or closer together than this
+//     mpe: false,                // MPE lower zone: one member channel (2..16) per note, implies pitchBend
+//     modWheel: false,           // vibrato depth as CC1 from its onset to the note end; with pitch bend on,
+//                                // the bends then carry only the vibrato-free contour (glides, drift)
+//     drums: false,              // everything on channel 10 (GM percussion); no bends, no key signature
+//     key: null,                 // { tonic, mode } (e.g. segmentToMidi's key): adds a key-signature meta event
+//     timeSignature: null,       // { numerator, denominator } (denominator a power of two)
+//     keySignatures: [],         // [{ t, sf, mi }] (parseMidi's): replaces key
+//     timeSignatures: [],        // [{ t, numerator, denominator }]: replaces timeSignature
+//     markers: [],               // [{ t, text }] marker meta events, t in note time
+//     name: '', instrument: '',  // track-name / instrument-name metas of the first track
+//     program: null,             // 0..127: program change at the start of the first track
+//     channel: 0,                // first track's channel (ignored for mpe / drums)
+//     tracks: []                 // further tracks: [{ notes, name, instrument, program, channel, drums }]
+//   }) -> Blob
+//   Seconds become ticks through the tempo map, so an imported file's bars come back on the
+//   same ticks; the metas of a map or list go out at their own times.
+//   Extra tracks keep their `channel` when it's free, else get the next free one (channel 10
+//   only for drums); with MPE they take the top channels and the zone shrinks to make room.
+//
+//   await benchmarkPitch({ method = 'yin', seconds = 10 })
+//     -> { method, frames, frameSize, fft: { ms, fps }, direct: { ms, fps }, speedup }
 //
 // Notes:
-// - Uses /workers/pitchWorker.js (lazy-created singleton).
+// - Uses /workers/pitchWorker.js. Every request carries an id, so overlapping calls
+//   (e.g. base-note detection during an extraction) never receive each other's results.
+// - Segments of POOL_MIN_SEC or more are cut into frame-aligned chunks (each starting one
+//   frame early, ending a full frame late) and analysed on a pool of up to
+//   navigator.hardwareConcurrency workers. The per-frame data is stitched back together
+//   and the global steps (pYIN Viterbi, onset normalisation/picking) run once over the
+//   whole track, so the result is identical to a single-worker analysis.
+// - Conditioning (DC, HPF, pre-emphasis, normalisation, adaptive gate) runs once over the
+//   whole segment in the worker before it's chunked, so pooled results still match.
+//   Only the analysed copy is conditioned; the audioBuffer is never touched.
 // - Time values tOn/tOff are in seconds, relative to segment start.
 // - Velocity in [0..1]. We'll scale to 1..127 when exporting MIDI.
+// - Velocity comes from each note's attack loudness (peak frame RMS in the first 80 ms),
+//   placed within the segment's dynamic range, shaped by velocityCurve and mapped onto
+//   [velocityMin, velocityMax]. Without per-frame RMS every note stays at 0.9.
+// - Note timing comes from the worker's frame times (frame centers), not an assumed hop.
+// - note.confidence is the mean per-frame confidence (0..1) over the note's frames.
+// - note.contour = { t: Float32Array, semis: Float32Array }: the f0 track over the note,
+//   t relative to tOn, semis relative to note.pitch (unvoiced frames are skipped).
+//   It rides along through quantization and feeds exportMidi's pitch bends.
+// - note.expression = { vibrato, glideIn, glideOut } from the contour (see expression.js).
+// - Pitch excursions shorter than PITCH_CHANGE_HOLD_SEC (vibrato peaks, scoops) stay in the
+//   current note instead of splitting it, so vibrato survives as one note plus its contour.
+// - Detected onsets split notes even when the pitch doesn't change; such notes carry
+//   `onset: true` and are never merged back into their same-pitch neighbour.
+// - lengthMode 'legato' stretches (or trims) every note to the next note's start, and
+//   applies even with quantize 'off'; the last note ends as with 'end'.
+// - Quantization follows the segment's beat grid: `bpm` (or the estimated tempo), starting
+//   at the first-beat offset, so hums at any tempo snap to their own pulse.
+// - The key is estimated from the notes and the f0 histogram before quantization; with
+//   scaleSnap, notes moved into the key keep their original pitch in `snappedFrom`.
+
+import { estimateKey, snapToScale, keySignature } from './musicKey.js';
+import { estimateTempo } from './tempo.js';
+import { attachExpression, vibratoFreeContour } from './expression.js';
+
+// Analysis pitch ranges (Hz). The worker derives its frame size from fMin.
+export const PITCH_RANGES = {
+  bass:    { label: 'Bass voice', fMin: 35,  fMax: 400 },
+  voice:   { label: 'Voice',      fMin: 60,  fMax: 1200 },
+  cat:     { label: 'Cat',        fMin: 150, fMax: 2000 },
+  whistle: { label: 'Whistle',    fMin: 400, fMax: 4000 },
+};
+
+export function resolvePitchRange(range = 'voice', fMin, fMax) {
+  if (range === 'custom') {
+    const lo = clamp(+fMin || 60, 20, 8000);
+    const hi = clamp(+fMax || 1200, lo * Math.SQRT2, 10000);
+    return { fMin: lo, fMax: hi };
+  }
+  const preset = PITCH_RANGES[range] || PITCH_RANGES.voice;
+  return { fMin: preset.fMin, fMax: preset.fMax };
+}
+
+const PRE_EMPHASIS = 0.97;
+const PITCH_CHANGE_HOLD_SEC = 0.06; // shorter pitch excursions stay part of the current note
+const DEFAULT_BPM = 120;
+const GM_DRUM_CHANNEL = 9;  // channel 10
+
+const POOL_MIN_SEC = 20;        // shorter segments aren't worth the split/stitch round trips
+const POOL_MAX_WORKERS = 8;
+const MIN_CHUNK_FRAMES = 500;   // ~5 s at the 10 ms hop
+
+const _pool = [];
+function getPool(size = 1) {
+  while (_pool.length < size) _pool.push(new Worker('./workers/pitchWorker.js', { type: 'module' }));
+  return _pool.slice(0, size);
+}
 
-let _worker = null;
 function getWorker() {
-  if (_worker) return _worker;
-  _worker = new Worker('./workers/pitchWorker.js', { type: 'module' });
-  return _worker;
+  return getPool(1)[0];
+}
+
+function poolSize() {
+  const cores = globalThis.navigator?.hardwareConcurrency || 1;
+  return clamp(cores, 1, POOL_MAX_WORKERS);
 }
 
 export async function segmentToMidi({
@@ -32,11 +164,34 @@ export async function segmentToMidi({
   sampleRate = audioBuffer ? audioBuffer.sampleRate : 44100,
   method = 'yin',
   quantize = '1/16',
+  swing = 0,
+  quantizeStrength = 1,
+  quantizeStart = true,
+  lengthMode = 'end',
   minDurMs = 100,
   hysteresisCents = 20,
-  gateDb = -40
+  gateDb = -40,
+  adaptiveGate = true,
+  hpfHz = 30,
+  preEmphasis = false,
+  normalize = true,
+  range = 'voice',
+  fMin,
+  fMax,
+  yinThreshold = 0.1,
+  mpmCutoff = 0.3,
+  onsetSensitivity = 0.5,
+  minConfidence = 0,
+  velocityMin = 0.25,
+  velocityMax = 1.0,
+  velocityCurve = 0,
+  bpm = 0,
+  scaleSnap = false,
+  signal,
+  onProgress
 }) {
   if (!audioBuffer) throw new Error('segmentToMidi: audioBuffer is required');
+  throwIfAborted(signal);
   const sr = audioBuffer.sampleRate || sampleRate;
   const s0 = Math.max(0, Math.min(start, audioBuffer.duration));
   const s1 = Math.max(s0, Math.min(end, audioBuffer.duration));
@@ -44,43 +199,69 @@ export async function segmentToMidi({
   const frames1 = Math.floor(s1 * sr);
   const length = Math.max(0, frames1 - frames0);
   if (length < Math.floor(0.02 * sr)) {
-    return { notes: [], f0: new Float32Array(0) };
+    return { notes: [], f0: new Float32Array(0), method, key: null, tempo: null, analysis: null };
   }
 
-  // Mixdown to mono float32 segment
-  const mono = new Float32Array(length);
-  const chs = audioBuffer.numberOfChannels;
-  for (let ch = 0; ch < chs; ch++) {
-    const data = audioBuffer.getChannelData(ch).subarray(frames0, frames1);
-    for (let i = 0; i < length; i++) mono[i] += data[i] / chs;
-  }
+  const mono = mixdownMono(audioBuffer, frames0, frames1);
 
-  // Send to worker
-  const worker = getWorker();
-  const req = {
-    type: 'analyze',
-    payload: {
-      float32Audio: mono,
-      sr,
-      method,
-      minDurMs,
-      hysteresisCents,
-      gateDb
-    }
+  // Send to the worker(s)
+  const pitchRange = resolvePitchRange(range, fMin, fMax);
+  const options = {
+    sr,
+    method,
+    minDurMs,
+    hysteresisCents,
+    gateDb,
+    adaptiveGate,
+    hpfHz,
+    preEmphasis: preEmphasis ? PRE_EMPHASIS : 0,
+    normalize,
+    fMin: pitchRange.fMin,
+    fMax: pitchRange.fMax,
+    yinThreshold,
+    mpmCutoff,
+    onsetSensitivity
   };
-  const f0 = await postWorker(worker, req); // { f0Hz, notesRaw? }
+  // { f0Hz, method, frameTimes, confidence, rms, voiced, ... }
+  const f0 = await analyzeMono(mono, options, { signal, onProgress });
 
   // Convert worker output to notes if needed
-  let notes = f0.notesRaw ? f0.notesRaw : trackToNotes(f0.f0Hz, sr, {
+  let notes = f0.notesRaw ? f0.notesRaw : trackToNotes(f0, {
     minDurMs,
     hysteresisCents
   });
+  if (minConfidence > 0) {
+    notes = notes.filter(n => (n.confidence ?? 1) >= minConfidence);
+  }
+  estimateVelocities(notes, f0, { velocityMin, velocityMax, velocityCurve });
+  attachContours(notes, f0);
+  attachExpression(notes);
 
-  // Quantize if requested
-  if (quantize && quantize !== 'off') {
-    notes = quantizeNotes(notes, quantize);
+  // Key from the notes and the raw f0 histogram; optionally pull stray notes into it
+  const key = estimateKey({ notes, f0Hz: f0.f0Hz, confidence: f0.confidence });
+  if (scaleSnap && key) {
+    notes = snapToScale(notes, key);
   }
 
+  // Beat grid from the onset envelope (or just its phase when the tempo is given)
+  const tempo = estimateTempo({
+    novelty: f0.novelty,
+    frameTimes: f0.frameTimes,
+    hopSec: f0.hopSec,
+    notes,
+    bpm
+  }) || { bpm: bpm > 0 ? bpm : DEFAULT_BPM, offsetSec: 0, confidence: 0, detected: false };
+
+  // Quantize if requested
+  notes = quantizeNotes(notes, quantize, {
+    bpm: tempo.bpm,
+    offsetSec: tempo.offsetSec,
+    swing,
+    strength: quantizeStrength,
+    quantizeStart,
+    lengthMode
+  });
+
   // Clamp/clean times to [0, segmentDuration]
   const dur = s1 - s0;
   for (const n of notes) {
@@ -89,76 +270,312 @@ export async function segmentToMidi({
     n.velocity = clamp(n.velocity ?? 0.9, 0.01, 1.0);
   }
 
-  return { notes, f0: f0.f0Hz ? new Float32Array(f0.f0Hz) : undefined };
+  const analysis = {
+    hopSec: f0.hopSec,
+    frameSec: f0.frameSec,
+    frameTimes: f0.frameTimes,
+    confidence: f0.confidence,
+    rms: f0.rms,
+    voiced: f0.voiced,
+    novelty: f0.novelty,
+    onsets: f0.onsets,
+    gateDb: f0.conditioning?.gateDb ?? gateDb,
+    noiseFloorDb: f0.conditioning?.noiseFloorDb ?? null,
+  };
+  return { notes, f0: f0.f0Hz ? new Float32Array(f0.f0Hz) : undefined, method: f0.method || method, key, tempo, analysis };
+}
+
+// Onset-only analysis of a segment (no pitch tracking), for percussive input
+export async function detectOnsets({
+  audioBuffer,
+  start = 0,
+  end = audioBuffer ? audioBuffer.duration : 0,
+  onsetSensitivity = 0.5,
+  gateDb = -40,
+  adaptiveGate = true,
+  normalize = true,
+  signal,
+  onProgress
+}) {
+  if (!audioBuffer) throw new Error('detectOnsets: audioBuffer is required');
+  throwIfAborted(signal);
+  const sr = audioBuffer.sampleRate;
+  const frames0 = Math.floor(clamp(start, 0, audioBuffer.duration) * sr);
+  const frames1 = Math.max(frames0, Math.floor(clamp(end, 0, audioBuffer.duration) * sr));
+  const mono = mixdownMono(audioBuffer, frames0, frames1);
+  const payload = {
+    float32Audio: mono.slice(),   // the worker conditions (and keeps) its own copy
+    sr,
+    gateDb,
+    adaptiveGate,
+    normalize,
+    onsetSensitivity
+  };
+  const res = await postWorker(getWorker(), { type: 'onsets', payload }, { signal, onProgress });
+  return { ...res, mono };
+}
+
+// Mono float32 copy of audioBuffer frames [frames0, frames1)
+function mixdownMono(audioBuffer, frames0, frames1) {
+  const length = Math.max(0, frames1 - frames0);
+  const mono = new Float32Array(length);
+  const chs = audioBuffer.numberOfChannels;
+  for (let ch = 0; ch < chs; ch++) {
+    const data = audioBuffer.getChannelData(ch).subarray(frames0, frames1);
+    for (let i = 0; i < length; i++) mono[i] += data[i] / chs;
+  }
+  return mono;
+}
+
+async function analyzeMono(mono, options, { signal, onProgress }) {
+  const size = poolSize();
+  if (size < 2 || mono.length < POOL_MIN_SEC * options.sr) {
+    const req = { type: 'analyze', payload: { ...options, float32Audio: mono } };
+    return postWorker(getWorker(), req, { signal, onProgress });
+  }
+  return analyzePooled(mono, options, getPool(size), { signal, onProgress });
+}
+
+async function analyzePooled(mono, options, workers, { signal, onProgress }) {
+  const t0 = performance.now();
+  // Condition the whole segment first so every chunk sees the same filter state and gate
+  const { float32Audio: audio, ...conditioning } = await postWorker(workers[0], {
+    type: 'condition',
+    payload: { ...options, float32Audio: mono }
+  }, { signal });
+  mono = audio;
+  options = { ...options, gateDb: conditioning.gateDb };
+
+  const plan = await postWorker(workers[0], { type: 'plan', payload: { ...options, length: mono.length } }, { signal });
+  const { hop, frameSize, onsetSize, nFrames } = plan;
+  const span = Math.max(frameSize, onsetSize); // samples read by one frame
+  const nChunks = clamp(Math.floor(nFrames / MIN_CHUNK_FRAMES), 1, workers.length);
+  const perChunk = Math.ceil(nFrames / nChunks);
+
+  // Progress: per-frame pass (weighted by chunk size), then the global pass
+  const finishWeight = options.method === 'pyin' || options.method === 'crepe' ? 0.5 : 0.05;
+  const chunkDone = new Array(nChunks).fill(0);
+  const report = (finishFrac) => {
+    let frames = 0;
+    for (const d of chunkDone) frames += d;
+    onProgress?.(((1 - finishWeight) * frames / Math.max(1, nFrames)) + finishWeight * finishFrac);
+  };
+
+  const jobs = [];
+  for (let c = 0; c < nChunks; c++) {
+    const first = c * perChunk;
+    const frames = Math.min(perChunk, nFrames - first);
+    if (frames <= 0) break;
+    const lead = first > 0 ? 1 : 0; // primes the onset detector's previous spectrum
+    const s0 = (first - lead) * hop;
+    const s1 = Math.min(mono.length, (first + frames - 1) * hop + span);
+    const payload = { ...options, float32Audio: mono.slice(s0, s1), frames, lead };
+    jobs.push(postWorker(workers[c], { type: 'analyzeFrames', payload }, {
+      signal,
+      onProgress: (p) => { chunkDone[c] = p * frames; report(0); }
+    }));
+  }
+  const raw = stitchFrames(await Promise.all(jobs));
+
+  const res = await postWorker(workers[0], {
+    type: 'finish',
+    payload: { ...options, length: mono.length, raw }
+  }, { signal, onProgress: report });
+
+  const ms = performance.now() - t0;
+  res.conditioning = conditioning;
+  res.stats = { frames: nFrames, ms, fps: ms > 0 ? nFrames / (ms / 1000) : 0, workers: jobs.length };
+  return res;
 }
 
-function postWorker(worker, message) {
+// Concatenate per-chunk raw frame data in order
+function stitchFrames(parts) {
+  const cat = (key, Type) => parts[0][key] ? concatTyped(parts.map(p => p[key]), Type) : undefined;
+  const raw = {
+    frames: parts.reduce((n, p) => n + p.frames, 0),
+    ms: Math.max(...parts.map(p => p.ms || 0)),
+    rms: cat('rms', Float32Array),
+    confidence: cat('confidence', Float32Array),
+    f0Hz: cat('f0Hz', Float32Array),
+    flux: cat('flux', Float32Array),
+    rise: cat('rise', Float32Array),
+    levelDb: cat('levelDb', Float32Array),
+  };
+  if (parts[0].cands) {
+    // pYIN candidates: shift each chunk's offsets by the candidates before it
+    const offsets = new Int32Array(raw.frames + 1);
+    let frame = 0, base = 0;
+    for (const p of parts) {
+      const o = p.cands.offsets;
+      for (let i = 0; i < p.frames; i++) offsets[frame + i] = base + o[i];
+      frame += p.frames;
+      base += o[p.frames];
+    }
+    offsets[raw.frames] = base;
+    raw.cands = {
+      offsets,
+      f0: concatTyped(parts.map(p => p.cands.f0), Float64Array),
+      p: concatTyped(parts.map(p => p.cands.p), Float64Array),
+    };
+  }
+  return raw;
+}
+
+function concatTyped(arrays, Type) {
+  const out = new Type(arrays.reduce((n, a) => n + a.length, 0));
+  let off = 0;
+  for (const a of arrays) { out.set(a, off); off += a.length; }
+  return out;
+}
+
+export async function benchmarkPitch({ method = 'yin', seconds = 10, sr = 44100 } = {}) {
+  return postWorker(getWorker(), { type: 'benchmark', payload: { method, seconds, sr } });
+}
+
+let _nextRequestId = 1;
+
+function postWorker(worker, message, { signal, onProgress } = {}) {
   return new Promise((resolve, reject) => {
+    const id = _nextRequestId++;
     const { payload } = message;
+    const okType = `${message.type}:ok`;
+    const errType = `${message.type}:err`;
+    const progressType = `${message.type}:progress`;
     // Transfer the Float32Array buffer for speed
     const transfer = [];
     if (payload && payload.float32Audio && payload.float32Audio.buffer) {
       transfer.push(payload.float32Audio.buffer);
     }
+    const cleanup = () => {
+      worker.removeEventListener('message', onMsg);
+      signal?.removeEventListener('abort', onAbort);
+    };
     const onMsg = (e) => {
-      const { type, payload } = e.data || {};
-      if (type === 'analyze:ok') {
-        worker.removeEventListener('message', onMsg);
+      const { type, id: replyTo, payload } = e.data || {};
+      if (replyTo !== id) return;
+      if (type === okType) {
+        cleanup();
         resolve(payload);
-      } else if (type === 'analyze:err') {
-        worker.removeEventListener('message', onMsg);
+      } else if (type === errType) {
+        cleanup();
         reject(new Error(payload?.message || 'Worker error'));
+      } else if (type === progressType) {
+        try { onProgress?.(payload.progress); } catch {}
       }
     };
+    const onAbort = () => {
+      cleanup();
+      worker.postMessage({ type: 'cancel', id });
+      reject(abortError());
+    };
+    if (signal?.aborted) { reject(abortError()); return; }
     worker.addEventListener('message', onMsg);
-    worker.postMessage(message, transfer);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    worker.postMessage({ ...message, id }, transfer);
   });
 }
 
+function abortError() {
+  return new DOMException('Pitch analysis cancelled', 'AbortError');
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw abortError();
+}
+
 // ---- f0 -> notes (fallback if worker returns only f0) ----
-function trackToNotes(f0Hz, sr, { minDurMs = 100, hysteresisCents = 20 } = {}) {
-  const hopSec = 0.01; // assume worker used ~10ms hop; if not, we’ll estimate below
-  const dt = hopSec;   // seconds per bin (safe default)
+// track: worker payload { f0Hz, frameTimes?, hopSec?, frameSec?, confidence?, onsets? }
+function trackToNotes(track, { minDurMs = 100, hysteresisCents = 20 } = {}) {
+  const { f0Hz } = track;
+  const onsets = track.onsets || [];
+  // An onset this close after a note start is that note's own attack, not a re-articulation
+  const onsetGuard = Math.max(0.04, (track.frameSec || 0) / 2);
+  let nextOnset = 0;
+  // Older payloads carry no timing metadata: fall back to a 10 ms hop from t=0
+  const hopSec = track.hopSec || 0.01;
+  const times = track.frameTimes || null;
+  const conf = track.confidence || null;
+  const timeAt = (i) => times ? times[i] : i * hopSec;
+
   const notes = [];
   const minDur = minDurMs / 1000;
 
   let cur = null;
+  let confSum = 0, confN = 0;
+  let away = null;   // { i, t }: first frame of the current run outside cur's pitch band
   const toMidi = (hz) => hz > 0 ? (69 + 12 * Math.log2(hz / 440)) : null;
 
   const cents = (a, b) => 1200 * Math.log2(a / b);
 
+  const close = () => {
+    cur.confidence = confN ? confSum / confN : 1;
+    if (cur.tOff - cur.tOn >= minDur) notes.push(cur);
+    cur = null;
+  };
+  const open = (midi, t, i, onset = false) => {
+    away = null;
+    cur = { pitch: midi, tOn: t, tOff: t, velocity: 0.9 };
+    if (onset) cur.onset = true;
+    confSum = conf ? conf[i] : 0;
+    confN = conf ? 1 : 0;
+  };
+
   for (let i = 0; i < f0Hz.length; i++) {
-    const t = i * dt;
+    const t = timeAt(i);
     const hz = f0Hz[i];
     if (!hz || hz <= 0) {
       // gap → end current if any
       if (cur) {
         cur.tOff = t;
-        if (cur.tOff - cur.tOn >= minDur) notes.push(cur);
-        cur = null;
+        close();
       }
       continue;
     }
     const midi = Math.round(toMidi(hz));
     if (!isFinite(midi)) continue;
 
+    // Onsets passed since the previous frame?
+    let onsetHere = false, freeOnset = -Infinity;
+    while (nextOnset < onsets.length && onsets[nextOnset] <= t) {
+      const o = onsets[nextOnset++];
+      if (!cur) freeOnset = o;
+      else if (o - cur.tOn > onsetGuard) onsetHere = true;
+      else cur.onset = true; // the current note's own attack
+    }
+    if (cur && onsetHere) {
+      // re-articulation: split even if the pitch is unchanged
+      cur.tOff = t;
+      close();
+      open(midi, t, i, true);
+      continue;
+    }
+
     if (!cur) {
-      cur = { pitch: midi, tOn: t, tOff: t, velocity: 0.9 };
+      open(midi, t, i, t - freeOnset <= onsetGuard);
     } else {
-      // same note? allow small cents deviance with hysteresis
+      // Same note while within half a semitone plus the hysteresis margin. Excursions
+      // (vibrato peaks, scoops) only start a new note once they've lasted PITCH_CHANGE_HOLD_SEC,
+      // and then it starts where the excursion began.
       const curHz = 440 * Math.pow(2, (cur.pitch - 69) / 12);
-      const diff = Math.abs(cents(hz, curHz));
-      if (Math.abs(midi - cur.pitch) <= 0 && diff <= hysteresisCents) {
-        cur.tOff = t;
-      } else {
-        // new note
-        if (cur.tOff - cur.tOn >= minDur) notes.push(cur);
-        cur = { pitch: midi, tOn: t, tOff: t, velocity: 0.9 };
+      const inBand = Math.abs(cents(hz, curHz)) <= 50 + hysteresisCents;
+      if (inBand) {
+        // Back in the band: the excursion's frames were this note's all along
+        for (let j = away ? away.i : i; conf && j < i; j++) { confSum += conf[j]; confN++; }
+        away = null;
+      } else if (!away) away = { i, t };
+      if (away && t - away.t >= PITCH_CHANGE_HOLD_SEC) {
+        const start = away;
+        cur.tOff = start.t;
+        close();
+        open(midi, start.t, start.i);
+        for (let j = start.i + 1; conf && j < i; j++) { confSum += conf[j]; confN++; }
       }
+      cur.tOff = t;
+      if (conf && !away) { confSum += conf[i]; confN++; }
     }
   }
 
-  if (cur && (cur.tOff - cur.tOn >= minDur)) notes.push(cur);
+  if (cur) close();
 
   // Merge tiny gaps between same-pitch neighbors
   return mergeAdjacent(notes, 0.03);
@@ -170,7 +587,10 @@ function mergeAdjacent(notes, maxGapSec = 0.03) {
   for (let i = 1; i < notes.length; i++) {
     const prev = out[out.length - 1];
     const cur = notes[i];
-    if (cur.pitch === prev.pitch && cur.tOn - prev.tOff <= maxGapSec) {
+    if (cur.pitch === prev.pitch && !cur.onset && cur.tOn - prev.tOff <= maxGapSec) {
+      // duration-weighted confidence of the merged note
+      const dPrev = prev.tOff - prev.tOn, dCur = cur.tOff - cur.tOn;
+      prev.confidence = ((prev.confidence ?? 1) * dPrev + (cur.confidence ?? 1) * dCur) / ((dPrev + dCur) || 1);
       prev.tOff = cur.tOff; // extend
       prev.velocity = Math.max(prev.velocity, cur.velocity ?? 0.9);
     } else {
@@ -180,74 +600,418 @@ function mergeAdjacent(notes, maxGapSec = 0.03) {
   return out;
 }
 
+// ---- Velocity from the audio envelope ----
+const ATTACK_SEC = 0.08;       // loudness is measured over the start of each note
+const MIN_DYN_RANGE_DB = 18;   // evenly sung phrases don't get stretched into loud/soft extremes
+
+function estimateVelocities(notes, track, { velocityMin = 0.25, velocityMax = 1.0, velocityCurve = 0 } = {}) {
+  const { rms, frameTimes: times } = track;
+  if (!notes.length || !rms || !rms.length) return notes;
+  const hopSec = track.hopSec || 0.01;
+  const timeAt = (i) => times ? times[i] : i * hopSec;
+  const toDb = (v) => 20 * Math.log10(Math.max(v, 1e-7));
+
+  // Segment dynamic range from voiced frames: loudest frame down to the 10th percentile
+  const voicedDb = [];
+  for (let i = 0; i < rms.length; i++) {
+    if (!track.voiced || track.voiced[i]) voicedDb.push(toDb(rms[i]));
+  }
+  if (!voicedDb.length) return notes;
+  voicedDb.sort((a, b) => a - b);
+  const hiDb = voicedDb[voicedDb.length - 1];
+  const loDb = Math.min(voicedDb[Math.floor(voicedDb.length * 0.1)], hiDb - MIN_DYN_RANGE_DB);
+
+  const vMin = clamp(Math.min(velocityMin, velocityMax), 0.01, 1);
+  const vMax = clamp(Math.max(velocityMin, velocityMax), 0.01, 1);
+  const c = clamp(+velocityCurve || 0, -1, 1);
+  const exp = c >= 0 ? 1 + c : 1 / (1 - c); // same mapping as the piano's velocity curve
+
+  let i = 0;
+  for (const n of notes) {
+    // notes are normally in time order, so the frame cursor mostly moves forward
+    if (i > 0 && timeAt(i - 1) >= n.tOn) i = 0;
+    while (i < rms.length - 1 && timeAt(i) < n.tOn) i++;
+    const tEnd = Math.min(n.tOff, n.tOn + ATTACK_SEC);
+    let peak = rms[i];
+    for (let j = i; j < rms.length && timeAt(j) <= tEnd; j++) {
+      if (rms[j] > peak) peak = rms[j];
+    }
+    const x = clamp((toDb(peak) - loDb) / (hiDb - loDb), 0, 1);
+    n.velocity = vMin + (vMax - vMin) * Math.pow(x, exp);
+  }
+  return notes;
+}
+
+// ---- f0 contour per note (for pitch-bend export) ----
+function attachContours(notes, track) {
+  const { f0Hz, frameTimes: times } = track;
+  if (!f0Hz || !f0Hz.length) return notes;
+  const hopSec = track.hopSec || 0.01;
+  const timeAt = (i) => times ? times[i] : i * hopSec;
+  let i = 0;
+  for (const n of notes) {
+    if (i > 0 && timeAt(i - 1) >= n.tOn) i = 0;
+    while (i < f0Hz.length && timeAt(i) < n.tOn) i++;
+    const t = [], semis = [];
+    for (let j = i; j < f0Hz.length && timeAt(j) <= n.tOff; j++) {
+      const hz = f0Hz[j];
+      if (!(hz > 0)) continue;
+      t.push(timeAt(j) - n.tOn);
+      semis.push(69 + 12 * Math.log2(hz / 440) - n.pitch);
+    }
+    n.contour = { t: Float32Array.from(t), semis: Float32Array.from(semis) };
+  }
+  return notes;
+}
+
 // ---- Quantization ----
-function quantizeNotes(notes, grid = '1/16', bpm = 120) {
-  const secPerBeat = 60 / bpm;
-  const denom = gridToDenom(grid); // e.g., 16 for 1/16
-  if (!denom) return notes;
-
-  const step = secPerBeat * (4 / denom); // quarter note = 1 beat
-  const q = (t) => Math.round(t / step) * step;
-
-  // Quantize start and end; ensure at least 1 step length
-  return notes.map(n => {
-    const tOnQ = q(n.tOn);
-    const tOffQ = Math.max(tOnQ + step, q(n.tOff));
-    return { ...n, tOn: tOnQ, tOff: tOffQ };
+export function quantizeNotes(notes, grid = '1/16', {
+  bpm = DEFAULT_BPM,
+  offsetSec = 0,
+  swing = 0,
+  strength = 1,
+  quantizeStart = true,
+  lengthMode = 'end'
+} = {}) {
+  const beats = gridToBeats(grid); // grid step in quarter notes, e.g. 0.25 for 1/16
+  if (!beats && lengthMode !== 'legato') return notes;
+
+  const step = beats ? (60 / bpm) * beats : 0;
+  const amount = clamp(strength, 0, 1);
+  const lateBy = clamp(swing, 0, 1) * step / 3;
+  const line = (j) => offsetSec + j * step + (j & 1 ? lateBy : 0);
+  // Nearest (swung) grid line, approached by `amount`
+  const q = (t) => {
+    if (!step) return t;
+    const k = Math.round((t - offsetSec) / step);
+    let best = line(k);
+    for (const j of [k - 1, k + 1]) {
+      if (Math.abs(line(j) - t) < Math.abs(best - t)) best = line(j);
+    }
+    return t + amount * (best - t);
+  };
+  const snapEnd = (n, tOn) => Math.max(tOn + step * amount, q(n.tOff));
+
+  const out = notes.map(n => {
+    const tOn = quantizeStart ? q(n.tOn) : n.tOn;
+    const dur = n.tOff - n.tOn;
+    let tOff;
+    if (lengthMode === 'keep') {
+      tOff = tOn + dur;
+    } else if (lengthMode === 'length' && step) {
+      tOff = tOn + dur + amount * (Math.max(1, Math.round(dur / step)) * step - dur);
+    } else {
+      tOff = snapEnd(n, tOn);
+    }
+    return { ...n, tOn, tOff };
   });
-}
 
-function gridToDenom(grid) {
-  switch (grid) {
-    case '1/8': return 8;
-    case '1/16': return 16;
-    case '1/32': return 32;
-    default: return null;
+  if (lengthMode === 'legato') {
+    const byStart = [...out].sort((a, b) => a.tOn - b.tOn);
+    for (let i = 0, j = 0; i < byStart.length; i++) {
+      while (j < byStart.length && byStart[j].tOn <= byStart[i].tOn) j++;
+      if (j < byStart.length) byStart[i].tOff = byStart[j].tOn;
+    }
   }
+  return out;
+}
+
+export function gridToBeats(grid) {
+  const m = /^1\/(4|8|16|32)([td]?)$/.exec(grid || '');
+  if (!m) return null;
+  const beats = 4 / +m[1];
+  if (m[2] === 't') return beats * 2 / 3;
+  if (m[2] === 'd') return beats * 3 / 2;
+  return beats;
 }
 
 // ---- MIDI export ----
-export function exportMidi({ notes = [], bpm = 120, ppq = 480 }) {
-  // One-track SMF, tempo meta, note-on/off events.
-  // Times in ticks. Convert seconds -> ticks with bpm/ppq.
+export function exportMidi({
+  notes = [],
+  bpm = DEFAULT_BPM,
+  tempos = [],
+  ppq = 480,
+  beatOffsetSec = 0,
+  pitchBend = false,
+  bendRange = 2,
+  bendThresholdCents = 5,
+  bendIntervalSec = 0.01,
+  mpe = false,
+  modWheel = false,
+  drums = false,
+  key = null,
+  timeSignature = null,
+  keySignatures = [],
+  timeSignatures = [],
+  markers = [],
+  name = '',
+  instrument = '',
+  program = null,
+  channel = 0,
+  tracks = []
+}) {
+  // Format-1 SMF. The first track carries the tempo map and the other metas (time and key
+  // signature, markers) plus its notes (+ optional pitch bend / MPE); further tracks carry
+  // plain notes on their own channels.
+  // Times in ticks. Convert seconds -> ticks through the tempo map and ppq.
   const events = [];
+  const extra = tracks.filter(t => t && t.notes && t.notes.length);
+  const range = clamp(Math.round(+bendRange || 2), 1, mpe ? 96 : 24);
+  if (drums) mpe = pitchBend = modWheel = false;
+  const withBend = pitchBend || mpe;
 
-  // Tempo meta (microseconds per quarter note)
-  const usPerQuarter = Math.round(60000000 / Math.max(1, bpm));
-  events.push(delta(0), meta(0x51, u24(usPerQuarter)));
+  // Pad the start so the first beat (and every one after it) falls on a quarter note
+  const tempoMap = buildTempoMap(tempos, bpm);
+  const beatSec = 60 / tempoMap[0].bpm;
+  const padSec = (beatSec - (beatOffsetSec % beatSec)) % beatSec;
+  const secToTicks = tempoTicks(tempoMap, ppq, padSec);
 
-  // Build sorted note-on/off events
+  // Tempo, time- and key-signature metas: those at the start go out at tick 0, the rest
+  // join the timed events below
+  const metas = [];
+  for (const { t, bpm: tempo } of tempoMap) {
+    metas.push({ t, data: meta(0x51, u24(Math.round(60000000 / tempo))) });   // µs per quarter
+  }
+  const signatures = timeSignatures.length ? timeSignatures : timeSignature ? [{ t: 0, ...timeSignature }] : [];
+  for (const ts of signatures) {
+    const num = clamp(Math.round(ts.numerator) || 4, 1, 255);
+    const dd = clamp(Math.round(Math.log2(ts.denominator || 4)), 0, 6);
+    metas.push({ t: ts.t || 0, data: meta(0x58, [num, dd, 24, 8]) });
+  }
+  if (!drums) {
+    const keys = keySignatures.length ? keySignatures : key ? [{ t: 0, ...keySignature(key) }] : [];
+    for (const k of keys) {
+      const sf = clamp(Math.round(k.sf) || 0, -7, 7);
+      metas.push({ t: k.t || 0, data: meta(0x59, [sf & 0xFF, k.mi ? 1 : 0]) });
+    }
+  }
   const pairs = [];
-  for (const n of notes) {
-    pairs.push({ t: n.tOn, type: 'on', pitch: n.pitch, vel: Math.max(1, Math.min(127, Math.round((n.velocity ?? 0.9) * 127))) });
-    pairs.push({ t: n.tOff, type: 'off', pitch: n.pitch, vel: 64 });
+  for (const m of metas) {
+    if (m.t > 0) pairs.push({ t: m.t, type: 'meta', data: m.data });
+    else events.push(delta(0), m.data);
   }
-  pairs.sort((a, b) => a.t - b.t || (a.type === 'off' ? -1 : 1)); // offs before ons at same t
+  events.push(...trackNameMetas(name, instrument));
 
-  let lastTick = 0;
-  const secToTicks = (sec) => Math.round(sec * (bpm / 60) * ppq);
+  // Channel setup at t=0
+  const sorted = [...notes].sort((a, b) => a.tOn - b.tOn);
+  // With MPE the extra tracks take the top channels, so the zone shrinks to make room
+  // (and ends below channel 10 when a percussion track needs it)
+  const hasDrumTrack = extra.some(t => t.drums);
+  const members = clamp(MPE_MEMBER_CHANNELS - extra.length, 1, hasDrumTrack ? GM_DRUM_CHANNEL - 1 : MPE_MEMBER_CHANNELS);
+  const firstChannel = drums ? GM_DRUM_CHANNEL : clamp(Math.round(channel) || 0, 0, 15);
+  const channels = mpe ? allocateMpeChannels(sorted, members) : sorted.map(() => firstChannel);
+  const extraChannels = mpe ? trackChannels(extra, range1(0, members), true) : trackChannels(extra, [firstChannel]);
+  if (program != null && !drums) {
+    for (const ch of mpe ? range1(1, members) : [firstChannel]) events.push(delta(0), ...programChange(ch, program));
+  }
+  if (mpe) {
+    // MPE Configuration Message (RPN 6) on the manager channel: lower zone
+    events.push(...rpn(0, 6, members));
+  }
+  if (withBend) {
+    const used = mpe ? [...new Set(channels)].sort((a, b) => a - b) : [firstChannel];
+    for (const ch of used) events.push(...rpn(ch, 0, range));
+  }
+
+  // Build sorted note-on/off/bend events
+  sorted.forEach((n, i) => {
+    const ch = channels[i];
+    const vel = Math.max(1, Math.min(127, Math.round((n.velocity ?? 0.9) * 127)));
+    pairs.push({ t: n.tOn, type: 'on', ch, pitch: n.pitch, vel });
+    pairs.push({ t: n.tOff, type: 'off', ch, pitch: n.pitch, vel: 64 });
+    // Single-channel bends are shared: stop a note's contour where the next note starts
+    const tEnd = mpe ? n.tOff : Math.min(n.tOff, sorted[i + 1]?.tOn ?? Infinity);
+    const vibrato = modWheel ? n.expression?.vibrato : null;
+    if (vibrato) {
+      const value = clamp(Math.round(vibrato.depthCents / MOD_WHEEL_FULL_CENTS * 127), 1, 127);
+      pairs.push({ t: Math.min(n.tOn + vibrato.startSec, tEnd), type: 'cc', ch, cc: 1, value });
+      pairs.push({ t: tEnd, type: 'cc', ch, cc: 1, value: 0 });
+    }
+    if (!withBend) return;
+    // With the mod wheel carrying the vibrato, the bends only follow the slower movement
+    const bent = vibrato ? { ...n, contour: vibratoFreeContour(n.contour, vibrato) } : n;
+    for (const b of bendEvents(bent, tEnd, { range, thresholdCents: bendThresholdCents, intervalSec: bendIntervalSec })) {
+      pairs.push({ t: b.t, type: 'bend', ch, value: b.value });
+    }
+  });
+  for (const m of markers) {
+    if (m && m.text) pairs.push({ t: m.t || 0, type: 'marker', text: m.text });
+  }
+  // At equal times: metas, markers and offs, then bends/CCs (a note's starting bend precedes
+  // its note-on), then ons
+  const order = { meta: 0, marker: 0, off: 0, bend: 1, cc: 1, on: 2 };
+  pairs.sort((a, b) => a.t - b.t || order[a.type] - order[b.type]);
 
+  events.push(...encodeEvents(pairs, secToTicks));
+
+  // End of track
+  events.push(varint(0), meta(0x2F, []));
+  const chunks = [chunk('MTrk', concatBytes(...events))];
+
+  extra.forEach((track, k) => {
+    const ch = extraChannels[k];
+    const head = trackNameMetas(track.name, track.instrument);
+    if (track.program != null && !track.drums) head.push(delta(0), ...programChange(ch, track.program));
+    const trackPairs = [];
+    for (const n of track.notes) {
+      const vel = Math.max(1, Math.min(127, Math.round((n.velocity ?? 0.9) * 127)));
+      trackPairs.push({ t: n.tOn, type: 'on', ch, pitch: n.pitch, vel });
+      trackPairs.push({ t: n.tOff, type: 'off', ch, pitch: n.pitch, vel: 64 });
+    }
+    trackPairs.sort((a, b) => a.t - b.t || order[a.type] - order[b.type]);
+    head.push(...encodeEvents(trackPairs, secToTicks), varint(0), meta(0x2F, []));
+    chunks.push(chunk('MTrk', concatBytes(...head)));
+  });
+
+  const header = smfHeader(1, chunks.length, ppq);
+  const blob = new Blob([header, ...chunks], { type: 'audio/midi' });
+  return blob;
+}
+
+// Channels for the extra tracks: the requested one when free, else the next free channel
+// (percussion tracks always use channel 10); reused round-robin once all 16 are taken.
+// fromTop (MPE) hands out the highest free channels first, above the zone.
+function trackChannels(tracks, taken, fromTop = false) {
+  const used = new Set(taken);
+  const melodic = [];
+  for (let ch = 0; ch < 16; ch++) if (ch !== GM_DRUM_CHANNEL) melodic.push(ch);
+  let next = 0;
+  return tracks.map((track) => {
+    if (track.drums) return GM_DRUM_CHANNEL;
+    const wanted = track.channel;
+    if (Number.isInteger(wanted) && wanted >= 0 && wanted < 16 && wanted !== GM_DRUM_CHANNEL && !used.has(wanted)) {
+      used.add(wanted);
+      return wanted;
+    }
+    const free = melodic.filter(ch => !used.has(ch));
+    const ch = free.length ? free[fromTop ? free.length - 1 : 0] : melodic[next++ % melodic.length];
+    used.add(ch);
+    return ch;
+  });
+}
+
+function trackNameMetas(name, instrument) {
+  const out = [];
+  if (name) out.push(delta(0), meta(0x03, utf8(name)));
+  if (instrument) out.push(delta(0), meta(0x04, utf8(instrument)));
+  return out;
+}
+
+function programChange(ch, program) {
+  return [status(0xC0, ch), byte(clamp(Math.round(program) || 0, 0, 127))];
+}
+
+function range1(from, to) {
+  const out = [];
+  for (let i = from; i <= to; i++) out.push(i);
+  return out;
+}
+
+// Time-sorted note/bend/CC events -> delta-timed channel messages
+function encodeEvents(pairs, secToTicks) {
+  const events = [];
+  let lastTick = 0;
   for (const ev of pairs) {
     const tick = secToTicks(ev.t);
     const dt = Math.max(0, tick - lastTick);
-    lastTick = tick;
+    lastTick = Math.max(lastTick, tick);
 
     events.push(varint(dt));
     if (ev.type === 'on') {
-      events.push(status(0x90, 0), byte(ev.pitch), byte(ev.vel));
+      events.push(status(0x90, ev.ch), byte(ev.pitch), byte(ev.vel));
+    } else if (ev.type === 'off') {
+      events.push(status(0x80, ev.ch), byte(ev.pitch), byte(0));
+    } else if (ev.type === 'cc') {
+      events.push(status(0xB0, ev.ch), byte(ev.cc), byte(ev.value));
+    } else if (ev.type === 'marker') {
+      events.push(meta(0x06, utf8(ev.text)));
+    } else if (ev.type === 'meta') {
+      events.push(ev.data);
     } else {
-      events.push(status(0x80, 0), byte(ev.pitch), byte(0));
+      events.push(status(0xE0, ev.ch), byte(ev.value & 0x7F), byte(ev.value >> 7));
     }
   }
+  return events;
+}
 
-  // End of track
-  events.push(varint(0), meta(0x2F, []));
+// Tempo map [{ t, bpm }] sorted, starting at t = 0 (the first tempo also covers the time
+// before its t); just `bpm` without one
+function buildTempoMap(tempos, bpm) {
+  const map = tempos
+    .filter(e => e && e.bpm > 0 && Number.isFinite(e.t))
+    .map(e => ({ t: Math.max(0, e.t), bpm: e.bpm }))
+    .sort((a, b) => a.t - b.t);
+  if (!map.length) return [{ t: 0, bpm: Math.max(1, bpm || DEFAULT_BPM) }];
+  map[0].t = 0;
+  // One tempo per instant: the last one given wins
+  return map.filter((e, i) => i === map.length - 1 || map[i + 1].t > e.t);
+}
 
-  const trackData = concatBytes(...events);
-  const trackChunk = chunk('MTrk', trackData);
-  const header = smfHeader(1, 1, ppq);
-  const blob = new Blob([header, trackChunk], { type: 'audio/midi' });
-  return blob;
+// Seconds of note time -> ticks through the map, after padSec at the first tempo
+function tempoTicks(map, ppq, padSec) {
+  const starts = [0];
+  for (let i = 1; i < map.length; i++) {
+    starts.push(starts[i - 1] + (map[i].t - map[i - 1].t) * map[i - 1].bpm / 60 * ppq);
+  }
+  const padTicks = padSec * map[0].bpm / 60 * ppq;
+  return (sec) => {
+    let i = map.length - 1;
+    while (i > 0 && map[i].t > sec) i--;
+    return Math.round(padTicks + starts[i] + (sec - map[i].t) * map[i].bpm / 60 * ppq);
+  };
+}
+
+// ---- Pitch bend / MPE ----
+const MOD_WHEEL_FULL_CENTS = 100;  // vibrato depth written as CC1 = 127
+const MPE_MEMBER_CHANNELS = 15; // lower zone: manager on channel 1, members on 2..16
+
+// Pitch-bend events for one note: a centre reset at note-on, then the contour,
+// thinned to changes of at least thresholdCents no closer than intervalSec.
+function bendEvents(n, tEnd, { range, thresholdCents = 5, intervalSec = 0.01 }) {
+  const out = [{ t: n.tOn, value: 8192 }];
+  const c = n.contour;
+  if (!c || !c.t.length) return out;
+  const minStep = Math.max(0, thresholdCents) / 100;
+  let lastT = n.tOn, lastSemis = 0, lastValue = 8192;
+  for (let i = 0; i < c.t.length; i++) {
+    const t = n.tOn + c.t[i];
+    if (t >= tEnd) break;
+    const semis = c.semis[i];
+    if (Math.abs(semis - lastSemis) < minStep || t - lastT < intervalSec) continue;
+    const value = bendValue(semis, range);
+    if (value === lastValue) continue;
+    out.push({ t, value });
+    lastT = t; lastSemis = semis; lastValue = value;
+  }
+  return out;
+}
+
+function bendValue(semis, range) {
+  const x = clamp(semis / range, -1, 1);
+  return clamp(Math.round(8192 + x * 8191), 0, 16383);
+}
+
+// One member channel per sounding note; reuse the channel that has been free longest,
+// or steal the one whose note ends first when all are busy.
+function allocateMpeChannels(sortedNotes, members = MPE_MEMBER_CHANNELS) {
+  const busyUntil = new Array(members).fill(-Infinity);
+  return sortedNotes.map((n) => {
+    let best = 0;
+    for (let k = 1; k < busyUntil.length; k++) {
+      if (busyUntil[k] < busyUntil[best]) best = k;
+    }
+    busyUntil[best] = n.tOff;
+    return best + 1;
+  });
+}
+
+// Registered parameter: select (CC101/100), data entry MSB (CC6), then the null RPN
+function rpn(ch, param, value) {
+  const cc = (num, v) => [varint(0), status(0xB0, ch), byte(num), byte(v)];
+  return [
+    ...cc(101, 0), ...cc(100, param), ...cc(6, value), ...cc(38, 0),
+    ...cc(101, 127), ...cc(100, 127),
+  ];
 }
 
 // ---- MIDI helpers ----
@@ -284,6 +1048,7 @@ function concatBytes(...arrs) {
   return out;
 }
 
+function utf8(s) { return [...new TextEncoder().encode(String(s))]; }
 function byte(n) { return new Uint8Array([n & 0xff]); }
 function status(type, ch) { return new Uint8Array([ (type & 0xF0) | (ch & 0x0F) ]); }
 function meta(type, data) { return concatBytes(new Uint8Array([0xFF, type & 0x7F, ...varint(data.length)]), new Uint8Array(data)); }
@@ -1,79 +1,472 @@
 // /workers/pitchWorker.js
-// Web Worker: fast, dependency-free pitch tracking (YIN + MPM) on a mono Float32 segment.
-// Receives: { type: 'analyze', payload: { float32Audio, sr, method, minDurMs, hysteresisCents, gateDb } }
-// Responds:  { type: 'analyze:ok', payload: { f0Hz: Float32Array } }  OR { type: 'analyze:err', payload: { message } }
+// Web Worker: fast, dependency-free pitch tracking (YIN, MPM, pYIN) on a mono Float32 segment.
+// Receives: { type: 'analyze', id, payload: { float32Audio, sr, method, minDurMs, hysteresisCents, gateDb,
+//                                          fMin = 60, fMax = 1200, yinThreshold = 0.1, mpmCutoff = 0.3,
+//                                          onsetSensitivity = 0.5,
+//                                          hpfHz = 0, removeDc = true, preEmphasis = 0, normalize = false,
+//                                          adaptiveGate = false } }
+// Responds:  { type: 'analyze:ok', payload: {
+//               f0Hz: Float32Array, method, stats,
+//               sr, hopSize, hopSec, frameSize, frameSec, length,   // length: input samples
+//               frameTimes: Float32Array,  // seconds, center of each analysis frame
+//               confidence: Float32Array,  // 0..1 per frame (see below)
+//               rms: Float32Array,         // linear RMS per frame
+//               voiced: Uint8Array,        // 1 where f0Hz > 0
+//               novelty: Float32Array,     // onset detection function per frame (0..1)
+//               onsets: Float32Array,      // onset times in seconds (empty if onsetSensitivity is 0)
+//               conditioning: { gateDb, noiseFloorDb, gain, hpfHz }   // what pre-conditioning applied
+//             } }
+//            OR { type: 'analyze:err', payload: { message, cancelled? } }
+//   While running: { type: 'analyze:progress', payload: { progress } }   // 0..1, a few times per second
+// Receives: { type: 'cancel', id }  -> the matching analysis stops at its next yield point
+//   Every reply carries the `id` of the request it answers.
+//   method: the algorithm that actually ran ('yin' | 'mpm' | 'pyin')
+//   stats:  { frames, ms, fps } timing of the analysis itself
+//   confidence: YIN → 1 - aperiodicity (CMND at the chosen lag), MPM → NSDF peak value,
+//               pYIN → voicing probability (total candidate probability mass)
+//
+// Onsets only (percussive input, no pitch tracking; same conditioning options as 'analyze'):
+//   { type: 'onsets', payload: { float32Audio, sr, gateDb, onsetSensitivity, ...conditioning } }
+//     -> { sr, hopSize, hopSec, frameTimes, novelty, levelDb, onsets }
+//
+// Chunked analysis (used by the worker pool in pitchToMidi.js for long segments):
+//   { type: 'condition', payload: { float32Audio, ...analyze options } }
+//     -> { float32Audio (transferred back), gateDb, noiseFloorDb, gain, hpfHz }
+//   { type: 'plan', payload: { length, sr, fMin, fMax } }
+//     -> { hop, frameSize, onsetSize, nFrames, ... }   frame i covers samples [i*hop, i*hop + max(frameSize, onsetSize))
+//   { type: 'analyzeFrames', payload: { float32Audio, frames, lead, ...analyze options } }
+//     -> raw per-frame data for `frames` frames; float32Audio starts `lead` (0|1) frames early
+//   { type: 'finish', payload: { raw, length, ...analyze options } }
+//     -> the same payload as 'analyze:ok', from raw data stitched across chunks
+//   'analyze' is exactly analyzeFrames over the whole signal followed by finish, so
+//   chunked and single-worker results are identical.
+//
+// Benchmark mode (synthetic input, compares the FFT path against the direct O(W·tau) loops):
+// Receives: { type: 'benchmark', payload: { sr = 44100, seconds = 10, method = 'yin' } }
+// Responds:  { type: 'benchmark:ok', payload: { method, frames, frameSize, fft: { ms, fps }, direct: { ms, fps }, speedup } }
 //
 // Notes:
-// - Hop size ~10 ms. Frame size auto-chosen (>= 3 * min period).
-// - Simple energy gate (gateDb) to suppress silence.
-// - If method === 'crepe', we currently fall back to YIN (front-end toggle still works).
-// - Keep this file as a true Worker module (no DOM access).
+// - Hop size ~10 ms. Frame size derived from the pitch range: the smallest power of two
+//   holding two periods of fMin (512..16384 samples), so high ranges get better time resolution.
+// - yinThreshold is the YIN absolute threshold (and the mean of pYIN's threshold prior);
+//   mpmCutoff is the minimum NSDF peak for a voiced MPM frame.
+// - Onsets: log-magnitude spectral flux plus energy novelty on a short (~23 ms) STFT at the
+//   same hop, peak-picked against a moving-average threshold and a minimum level rise.
+//   Higher onsetSensitivity lowers both, so softer re-articulations ("da-da-da" on one pitch) are found.
+// - Pre-conditioning before any pitch tracking: DC removal, high-pass at hpfHz (kept below
+//   0.7·fMin), optional pre-emphasis (coefficient, e.g. 0.97) and peak normalisation.
+// - Energy gate to suppress silence: gateDb, or with adaptiveGate a threshold ~10 dB above
+//   the noise floor (10th-percentile frame level) when the segment has real silence in it.
+// - The YIN difference function and the MPM NSDF are both derived from one
+//   FFT autocorrelation per frame plus prefix sums of x², i.e. O(N log N)
+//   instead of O(W·tau). All per-frame scratch lives in one analyzer object.
+// - method 'pyin' is the high-accuracy mode: probabilistic YIN candidates per frame,
+//   decoded into a smooth voiced/unvoiced track with an HMM (Viterbi).
+//   'crepe' is accepted as an alias for 'pyin' (no model download needed).
+// - Long analyses yield to the event loop every ~50 ms so 'cancel' messages get through and
+//   several requests can be in flight at once (each keeps its own scratch buffers).
+// - Keep this file as a true Worker module (no DOM access). The FFT is shared with the
+//   main thread (js/audio/fft.js).
+
+import { createFFT } from '../js/audio/fft.js';
+
+const YIELD_EVERY_MS = 50;
+const running = new Set();   // ids of requests in flight
+const cancelled = new Set(); // ...and those of them cancelled (cancels for other ids are ignored)
+
+// type -> async (payload, ticker) => result; replies are `${type}:ok|err|progress`
+const handlers = {
+  analyze: async (p, ticker) => {
+    const cond = conditionSignal(p.float32Audio || new Float32Array(0), p);
+    const res = await analyzeSignal(cond.float32Audio, { ...analysisOptions(p), gateDb: cond.gateDb, ticker });
+    return { ...res, conditioning: conditioningInfo(cond) };
+  },
+  onsets: (p, ticker) => {
+    const cond = conditionSignal(p.float32Audio || new Float32Array(0), p);
+    return analyzeOnsets(cond.float32Audio, { ...analysisOptions(p), gateDb: cond.gateDb, ticker });
+  },
+  condition: (p) => conditionSignal(p.float32Audio || new Float32Array(0), p),
+  plan: (p) => analysisPlan(p.length, p),
+  analyzeFrames: (p, ticker) => {
+    ticker.begin(p.frames * (p.detectOnsets === false ? 1 : 2));
+    return analyzeFrames(p.float32Audio, { ...analysisOptions(p), frames: p.frames, lead: p.lead, ticker });
+  },
+  finish: (p, ticker) => finishAnalysis(p.raw, { ...analysisOptions(p), length: p.length, ticker }),
+  benchmark: (p) => runBenchmark(p),
+};
 
 self.onmessage = async (e) => {
+  const { type, id, payload } = e.data || {};
+  if (type === 'cancel') {
+    // Late cancels and ones broadcast to pool workers that never ran the id
+    if (running.has(id)) cancelled.add(id);
+    return;
+  }
+  const handler = handlers[type];
+  if (!handler) return;
+  running.add(id);
   try {
-    const { type, payload } = e.data || {};
-    if (type !== 'analyze') return;
+    const ticker = createTicker({
+      onProgress: (progress) => postMessage({ type: `${type}:progress`, id, payload: { progress } }),
+      isCancelled: () => cancelled.has(id),
+    });
+    const res = await handler(payload || {}, ticker);
+    // Hand conditioned audio back without a copy
+    const transfer = res?.float32Audio?.buffer ? [res.float32Audio.buffer] : [];
+    postMessage({ type: `${type}:ok`, id, payload: res }, transfer);
+  } catch (err) {
+    postMessage({
+      type: `${type}:err`, id,
+      payload: { message: err?.message || String(err), cancelled: !!err?.cancelled }
+    });
+  } finally {
+    running.delete(id);
+    cancelled.delete(id);
+  }
+};
+
+function analysisOptions({
+  sr = 44100, method = 'yin', gateDb = -40,
+  fMin, fMax, yinThreshold, mpmCutoff, onsetSensitivity, detectOnsets,
+}) {
+  return { sr, method, gateDb, fMin, fMax, yinThreshold, mpmCutoff, onsetSensitivity, detectOnsets };
+}
+
+// ---- Analysis pre-conditioning ----
+// In place, on the whole signal (before any chunking): DC removal, 2nd-order Butterworth
+// high-pass, optional pre-emphasis and peak normalisation. With adaptiveGate the gate is
+// placed above a noise floor estimated from the quietest frames instead of using gateDb.
+const NORMALIZE_PEAK = 0.89;          // -1 dBFS
+const HPF_MAX_FRACTION_OF_FMIN = 0.7; // never cut into the lowest fundamentals of the range
+const GATE_FLOOR_PERCENTILE = 0.1;
+const GATE_LOUD_PERCENTILE = 0.95;
+const GATE_MARGIN_DB = 10;
+const MIN_SILENCE_CONTRAST_DB = 20;   // below this there's no real silence to learn the floor from
+
+function conditionSignal(x, {
+  sr = 44100, fMin = 60, fMax = 1200, gateDb = -40,
+  hpfHz = 0, removeDc = true, preEmphasis = 0, normalize = false, adaptiveGate = false,
+} = {}) {
+  const n = x.length;
+  if (removeDc && n) {
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += x[i];
+    mean /= n;
+    for (let i = 0; i < n; i++) x[i] -= mean;
+  }
+
+  const { fMin: rangeMin } = analysisSizes(sr, fMin, fMax);
+  const cutoff = Math.min(+hpfHz || 0, rangeMin * HPF_MAX_FRACTION_OF_FMIN, sr * 0.45);
+  if (cutoff >= 10) highpassInPlace(x, sr, cutoff);
 
-    const {
-      float32Audio,
-      sr = 44100,
-      method = 'yin',
-      gateDb = -40,
-    } = payload || {};
+  const a = Math.min(0.99, Math.max(0, +preEmphasis || 0));
+  if (a > 0) {
+    for (let i = n - 1; i > 0; i--) x[i] -= a * x[i - 1];
+  }
 
-    if (!float32Audio || !float32Audio.length) {
-      return postMessage({ type: 'analyze:ok', payload: { f0Hz: new Float32Array(0) } });
+  let gain = 1;
+  if (normalize) {
+    let peak = 0;
+    for (let i = 0; i < n; i++) { const v = Math.abs(x[i]); if (v > peak) peak = v; }
+    if (peak > 1e-6) {
+      gain = NORMALIZE_PEAK / peak;
+      for (let i = 0; i < n; i++) x[i] *= gain;
     }
+  }
 
-    // Analysis params
-    const hop = Math.max(1, Math.floor(sr * 0.01)); // 10ms hop
-    const fMin = 60;   // Hz (A1)
-    const fMax = 1200; // Hz (rough upper bound for meows/whistles)
-    const tauMin = Math.floor(sr / fMax);
-    const tauMax = Math.ceil(sr / fMin);
+  let gate = gateDb, noiseFloorDb = null;
+  if (adaptiveGate) ({ gateDb: gate, noiseFloorDb } = adaptiveGateDb(x, { sr, fMin, fMax, gateDb }));
 
-    // Ensure frame is long enough: YIN needs > 2 * tauMax; use power-of-two near 2048/4096
-    const minFrame = Math.max(1024, 2 * tauMax + 4);
-    const frameSize = nextPow2(Math.min(8192, Math.max(2048, minFrame)));
+  return { float32Audio: x, gateDb: gate, noiseFloorDb, gain, hpfHz: cutoff >= 10 ? cutoff : 0 };
+}
 
-    // Prepare output
-    const nFrames = Math.max(0, Math.floor((float32Audio.length - frameSize) / hop) + 1);
-    const f0Hz = new Float32Array(nFrames);
+function conditioningInfo({ gateDb, noiseFloorDb, gain, hpfHz }) {
+  return { gateDb, noiseFloorDb, gain, hpfHz };
+}
 
-    // Precompute energy threshold for gate (RMS in dBFS)
-    const gateLin = dbToLin(gateDb);
+// RBJ high-pass biquad, Q = 1/sqrt(2)
+function highpassInPlace(x, sr, hz) {
+  const w = 2 * Math.PI * hz / sr;
+  const cw = Math.cos(w), alpha = Math.sin(w) / (2 * Math.SQRT1_2);
+  const a0 = 1 + alpha;
+  const b0 = (1 + cw) / 2 / a0, b1 = -(1 + cw) / a0, b2 = b0;
+  const a1 = -2 * cw / a0, a2 = (1 - alpha) / a0;
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < x.length; i++) {
+    const v = x[i];
+    const y = b0 * v + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    x2 = x1; x1 = v; y2 = y1; y1 = y;
+    x[i] = y;
+  }
+}
 
-    // Process frames
-    let idx = 0;
-    for (let i = 0; i < nFrames; i++) {
-      const off = i * hop;
+// Frame levels on the analysis grid: the quietest ones are the noise floor, provided the
+// segment is loud enough elsewhere to tell them apart (otherwise nothing extra is gated).
+function adaptiveGateDb(x, { sr, fMin, fMax, gateDb }) {
+  const { hop, frameSize, nFrames } = analysisPlan(x.length, { sr, fMin, fMax });
+  if (!nFrames) return { gateDb, noiseFloorDb: null };
+  const db = new Float32Array(nFrames);
+  for (let i = 0; i < nFrames; i++) db[i] = 20 * Math.log10(Math.max(frameRMS(x, i * hop, frameSize), 1e-9));
+  db.sort();
+  const floorDb = db[Math.floor(GATE_FLOOR_PERCENTILE * (nFrames - 1))];
+  const loudDb = db[Math.floor(GATE_LOUD_PERCENTILE * (nFrames - 1))];
+  const contrast = loudDb - floorDb;
+  const gate = contrast >= MIN_SILENCE_CONTRAST_DB
+    ? floorDb + Math.min(GATE_MARGIN_DB, contrast / 3)
+    : floorDb - 1;
+  return { gateDb: gate, noiseFloorDb: floorDb };
+}
 
-      // RMS for gate
-      const rms = frameRMS(float32Audio, off, frameSize);
-      if (rms < gateLin) {
-        f0Hz[idx++] = 0;
-        continue;
+// Cooperative progress/cancellation for the frame loops:
+//   ticker.begin(totalUnits); ...; if (ticker.due()) await ticker.pause();
+// due() is cheap enough for per-frame use; pause() reports progress, yields to the
+// event loop (so 'cancel' can arrive) and throws { cancelled: true } when cancelled.
+function createTicker({ onProgress, isCancelled }) {
+  let total = 1, done = 0, count = 0;
+  let lastYield = performance.now();
+  return {
+    begin(units) { total = Math.max(1, units); done = 0; },
+    due() {
+      done++;
+      if (++count < 32) return false;
+      count = 0;
+      return performance.now() - lastYield >= YIELD_EVERY_MS;
+    },
+    async pause() {
+      onProgress(Math.min(1, done / total));
+      await new Promise((r) => setTimeout(r, 0));
+      lastYield = performance.now();
+      if (isCancelled()) {
+        const err = new Error('Analysis cancelled');
+        err.cancelled = true;
+        throw err;
       }
+    },
+  };
+}
+
+// Onset detection without the pitch pass, framed on the onset window itself
+async function analyzeOnsets(x, { sr = 44100, gateDb = -40, onsetSensitivity = 0.5, ticker = null } = {}) {
+  const { hop } = analysisSizes(sr);
+  const size = onsetWindowSize(sr);
+  const nFrames = Math.max(0, Math.floor((x.length - size) / hop) + 1);
+  ticker?.begin(nFrames);
+  const { flux, rise, levelDb } = await onsetFeatures(x, { sr, hop, nFrames, ticker });
+  const rms = new Float32Array(nFrames);
+  const frameTimes = new Float32Array(nFrames);
+  for (let f = 0; f < nFrames; f++) {
+    rms[f] = frameRMS(x, f * hop, size);
+    frameTimes[f] = (f * hop + size / 2) / sr;
+  }
+  const novelty = onsetNovelty(flux, rise);
+  const onsets = pickOnsets(novelty, {
+    sr, hop, sensitivity: onsetSensitivity, rms, gateLin: dbToLin(gateDb), levelDb
+  });
+  return { sr, hopSize: hop, hopSec: hop / sr, frameTimes, novelty, levelDb, onsets };
+}
+
+// Whole-signal analysis: the per-frame pass and the global pass back to back.
+async function analyzeSignal(float32Audio, opts = {}) {
+  const { ticker = null, detectOnsets = true } = opts;
+  const length = float32Audio ? float32Audio.length : 0;
+  const { nFrames } = analysisPlan(length, opts);
+  const pyin = resolveMethod(opts.method) === 'pyin';
+  // Work units: one per frame for pitch, the onset pass and pYIN's Viterbi pass
+  ticker?.begin(nFrames * (1 + (detectOnsets ? 1 : 0) + (pyin ? 1 : 0)));
+  const raw = await analyzeFrames(float32Audio || new Float32Array(0), { ...opts, frames: nFrames, lead: 0 });
+  return finishAnalysis(raw, { ...opts, length, keepTicker: true });
+}
+
+function resolveMethod(method) {
+  const m = String(method).toLowerCase();
+  return (m === 'pyin' || m === 'crepe') ? 'pyin' : (m === 'mpm' ? 'mpm' : 'yin');
+}
+
+// Frame layout for a signal of `length` samples. Frame i starts at i * hop.
+function analysisPlan(length, { sr = 44100, fMin = 60, fMax = 1200 } = {}) {
+  const sizes = analysisSizes(sr, fMin, fMax);
+  const nFrames = Math.max(0, Math.floor((length - sizes.frameSize) / sizes.hop) + 1);
+  return { ...sizes, nFrames, onsetSize: onsetWindowSize(sr) };
+}
+
+// Per-frame pass. Everything here depends only on the samples under each frame, so a
+// long signal can be cut into chunks and analysed on several workers. `float32Audio`
+// starts at the first of `lead + frames` frames; the `lead` frames (0 or 1) only prime
+// the onset detector's previous spectrum and are not returned.
+// -> { frames, f0Hz?, confidence, rms, cands? (pYIN, packed), flux?, rise?, levelDb? }
+async function analyzeFrames(x, {
+  sr = 44100, method = 'yin', gateDb = -40, direct = false,
+  fMin: fMinReq = 60, fMax: fMaxReq = 1200, yinThreshold = 0.1, mpmCutoff = 0.3,
+  detectOnsets = true, frames, lead = 0, ticker = null,
+} = {}) {
+  const ran = resolveMethod(method);
+  const { hop, fMin, fMax, tauMin, tauMax, frameSize } = analysisSizes(sr, fMinReq, fMaxReq);
+  const thresh = Math.min(0.9, Math.max(0.01, +yinThreshold || 0.1));
+  const cutoff = Math.min(0.99, Math.max(0.05, +mpmCutoff || 0.3));
+  const gateLin = dbToLin(gateDb);
+  const t0 = performance.now();
+
+  const rms = new Float32Array(frames);
+  for (let i = 0; i < frames; i++) rms[i] = frameRMS(x, (i + lead) * hop, frameSize);
+
+  const an = createAnalyzer(frameSize, tauMax, { direct });
+  const confidence = new Float32Array(frames);
+  const raw = { frames, rms, confidence };
 
-      let f0 = 0;
-      const m = method.toLowerCase();
-      if (m === 'yin' || m === 'crepe') {
-        // 'crepe' falls back to YIN in this Worker (no TF.js here)
-        f0 = yinPitch(float32Audio, off, frameSize, sr, tauMin, tauMax);
-      } else {
-        f0 = mpmPitch(float32Audio, off, frameSize, sr, tauMin, tauMax);
+  if (ran === 'pyin') {
+    const prior = pyinThresholdPrior(thresh);
+    const cands = new Array(frames);
+    for (let i = 0; i < frames; i++) {
+      if (ticker && ticker.due()) await ticker.pause();
+      if (rms[i] < gateLin) { cands[i] = []; continue; }
+      const cmnd = yinCmnd(an, x, (i + lead) * hop);
+      cands[i] = pyinCandidates(cmnd, tauMin, sr, prior).filter(c => c.f0 >= fMin && c.f0 <= fMax);
+      let mass = 0;
+      for (const c of cands[i]) mass += c.p;
+      confidence[i] = clamp01(mass);
+    }
+    raw.cands = packCandidates(cands);
+  } else {
+    const f0Hz = new Float32Array(frames);
+    for (let i = 0; i < frames; i++) {
+      if (ticker && ticker.due()) await ticker.pause();
+      const off = (i + lead) * hop;
+
+      // RMS for gate
+      if (rms[i] < gateLin) {
+        f0Hz[i] = 0;
+        confidence[i] = 0;
+        continue;
       }
-      f0Hz[idx++] = f0;
+      f0Hz[i] = ran === 'yin'
+        ? yinPitch(an, x, off, sr, tauMin, thresh)
+        : mpmPitch(an, x, off, sr, tauMin, cutoff);
+      confidence[i] = an.confidence;
     }
+    raw.f0Hz = f0Hz;
+  }
 
-    postMessage({ type: 'analyze:ok', payload: { f0Hz } });
-  } catch (err) {
-    postMessage({ type: 'analyze:err', payload: { message: err?.message || String(err) } });
+  if (detectOnsets) {
+    const { flux, rise, levelDb } = await onsetFeatures(x, { sr, hop, nFrames: lead + frames, ticker });
+    raw.flux = flux.subarray(lead);
+    raw.rise = rise.subarray(lead);
+    raw.levelDb = levelDb.subarray(lead);
   }
-};
+  raw.ms = performance.now() - t0;
+  return raw;
+}
+
+// Global pass over the (possibly stitched) per-frame data: pYIN's Viterbi decoding,
+// onset novelty normalisation and peak picking. -> the 'analyze:ok' payload.
+async function finishAnalysis(raw, {
+  sr = 44100, method = 'yin', gateDb = -40,
+  fMin: fMinReq = 60, fMax: fMaxReq = 1200,
+  onsetSensitivity = 0.5, detectOnsets = true, length = 0, ticker = null, keepTicker = false,
+} = {}) {
+  const ran = resolveMethod(method);
+  const { hop, fMin, fMax, frameSize } = analysisSizes(sr, fMinReq, fMaxReq);
+  const nFrames = raw.frames;
+  const t0 = performance.now();
+  const meta = {
+    sr,
+    fMin,
+    fMax,
+    hopSize: hop,
+    hopSec: hop / sr,
+    frameSize,
+    frameSec: frameSize / sr,
+  };
+  if (!keepTicker) ticker?.begin(ran === 'pyin' ? nFrames : 0);
+
+  const frameTimes = new Float32Array(nFrames);
+  for (let i = 0; i < nFrames; i++) frameTimes[i] = (i * hop + frameSize / 2) / sr;
+
+  const f0Hz = ran === 'pyin'
+    ? await pyinViterbi(unpackCandidates(raw.cands), { nFrames, fMin, fMax, ticker })
+    : raw.f0Hz;
+
+  const voiced = new Uint8Array(nFrames);
+  for (let i = 0; i < nFrames; i++) voiced[i] = f0Hz[i] > 0 ? 1 : 0;
+
+  let novelty = new Float32Array(0), onsets = new Float32Array(0);
+  if (detectOnsets && raw.flux) {
+    novelty = onsetNovelty(raw.flux, raw.rise);
+    onsets = pickOnsets(novelty, {
+      sr, hop, sensitivity: onsetSensitivity, rms: raw.rms, gateLin: dbToLin(gateDb), levelDb: raw.levelDb
+    });
+  }
+
+  const ms = (raw.ms || 0) + performance.now() - t0;
+  return {
+    f0Hz, method: ran, stats: { frames: nFrames, ms, fps: ms > 0 ? nFrames / (ms / 1000) : 0 },
+    ...meta, length, frameTimes, confidence: raw.confidence, rms: raw.rms, voiced, novelty, onsets,
+  };
+}
+
+// pYIN candidates as flat arrays (cheap to post between workers, lossless)
+function packCandidates(cands) {
+  const offsets = new Int32Array(cands.length + 1);
+  let total = 0;
+  for (let i = 0; i < cands.length; i++) { offsets[i] = total; total += cands[i].length; }
+  offsets[cands.length] = total;
+  const f0 = new Float64Array(total), p = new Float64Array(total);
+  for (let i = 0, k = 0; i < cands.length; i++) {
+    for (const c of cands[i]) { f0[k] = c.f0; p[k] = c.p; k++; }
+  }
+  return { offsets, f0, p };
+}
+
+function unpackCandidates({ offsets, f0, p }) {
+  const out = new Array(offsets.length - 1);
+  for (let i = 0; i < out.length; i++) {
+    const list = [];
+    for (let k = offsets[i]; k < offsets[i + 1]; k++) list.push({ f0: f0[k], p: p[k] });
+    out[i] = list;
+  }
+  return out;
+}
+
+async function runBenchmark({ sr = 44100, seconds = 10, method = 'yin' }) {
+  // Gliding two-partial tone with a little noise; deterministic so runs are comparable
+  const n = Math.max(1, Math.floor(sr * Math.min(600, Math.max(0.5, seconds))));
+  const x = new Float32Array(n);
+  let ph = 0, seed = 12345;
+  for (let i = 0; i < n; i++) {
+    const t = i / sr;
+    ph += 2 * Math.PI * (180 + 60 * Math.sin(2 * Math.PI * 0.25 * t)) / sr;
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    x[i] = 0.4 * Math.sin(ph) + 0.2 * Math.sin(2 * ph) + 0.01 * (seed / 0x100000000 - 0.5);
+  }
+
+  const fft = await analyzeSignal(x, { sr, method, gateDb: -90, detectOnsets: false });
+  const direct = await analyzeSignal(x, { sr, method, gateDb: -90, direct: true, detectOnsets: false });
+  const { frameSize } = analysisSizes(sr);
+  return {
+    method: fft.method,
+    frames: fft.stats.frames,
+    frameSize,
+    fft: { ms: fft.stats.ms, fps: fft.stats.fps },
+    direct: { ms: direct.stats.ms, fps: direct.stats.fps },
+    speedup: fft.stats.ms > 0 ? direct.stats.ms / fft.stats.ms : 0,
+  };
+}
 
 // ----------------------- Utilities & Algorithms -----------------------
 
+function analysisSizes(sr, fMinReq = 60, fMaxReq = 1200) {
+  const hop = Math.max(1, Math.floor(sr * 0.01)); // 10ms hop
+  // Keep the range sane: at least half an octave wide, below sr/4 so lags stay >= 4 samples
+  const fMin = Math.min(Math.max(20, +fMinReq || 60), sr / 8);
+  const fMax = Math.max(fMin * Math.SQRT2, Math.min(+fMaxReq || 1200, sr / 4));
+  const tauMin = Math.max(2, Math.floor(sr / fMax));
+  const tauMax = Math.ceil(sr / fMin);
+
+  // Ensure frame is long enough: YIN needs > 2 * tauMax
+  const minFrame = 2 * tauMax + 4;
+  const frameSize = nextPow2(Math.min(16384, Math.max(512, minFrame)));
+  return { hop, fMin, fMax, tauMin, tauMax, frameSize };
+}
+
 function nextPow2(n) {
   let p = 1;
   while (p < n) p <<= 1;
@@ -84,6 +477,10 @@ function dbToLin(db) {
   return Math.pow(10, db / 20);
 }
 
+function clamp01(v) {
+  return v < 0 ? 0 : (v > 1 ? 1 : v);
+}
+
 function frameRMS(x, off, size) {
   let s = 0;
   const end = Math.min(x.length, off + size);
@@ -95,42 +492,104 @@ function frameRMS(x, off, size) {
   return Math.sqrt(s / len);
 }
 
-// ---- YIN (de Cheveigné & Kawahara, 2002) ----
-function yinPitch(x, off, w, sr, tauMin, tauMax) {
-  // 1) Difference function d(tau)
+// ---- Analyzer: reusable per-analysis scratch buffers ----
+// Everything a frame needs is allocated once here; frame functions only write into it.
+function createAnalyzer(frameSize, tauMax, { direct = false } = {}) {
+  const w = frameSize;
   const maxTau = Math.min(tauMax, w - 1);
-  const d = new Float32Array(maxTau + 1);
+  // Linear (not circular) autocorrelation up to maxTau needs N >= w + maxTau
+  const n = nextPow2(w + maxTau + 1);
+  return {
+    w, maxTau, n, direct,
+    fft: createFFT(n),
+    re: new Float64Array(n),
+    im: new Float64Array(n),
+    sq: new Float64Array(w + 1),          // prefix sums of x² over the frame
+    acf: new Float64Array(maxTau + 1),    // autocorrelation r(tau)
+    d: new Float32Array(maxTau + 1),      // YIN difference function
+    cmnd: new Float32Array(maxTau + 1),   // YIN cumulative mean normalized difference
+    nsdf: new Float32Array(maxTau + 1),   // MPM normalized square difference
+    confidence: 0,                        // set by yinPitch / mpmPitch for the last frame
+  };
+}
+
+// r(tau) = sum_{i < w - tau} x[i] x[i + tau], plus prefix sums of x² for the energy terms
+function autocorrelate(an, x, off) {
+  const { w, maxTau, n, re, im, sq, acf } = an;
+
+  sq[0] = 0;
+  for (let i = 0; i < w; i++) {
+    const v = x[off + i] || 0;
+    sq[i + 1] = sq[i] + v * v;
+  }
+
+  if (an.direct) {
+    // Reference O(W·tau) path (benchmark only)
+    for (let tau = 0; tau <= maxTau; tau++) {
+      let s = 0;
+      const lim = w - tau;
+      for (let i = 0; i < lim; i++) s += x[off + i] * x[off + i + tau];
+      acf[tau] = s;
+    }
+    return;
+  }
+
+  for (let i = 0; i < w; i++) { re[i] = x[off + i] || 0; im[i] = 0; }
+  re.fill(0, w); im.fill(0, w);
+  an.fft.forward(re, im);
+  // Power spectrum is real and even, so a second forward transform is the inverse (× n)
+  for (let k = 0; k < n; k++) {
+    re[k] = re[k] * re[k] + im[k] * im[k];
+    im[k] = 0;
+  }
+  an.fft.forward(re, im);
+  const scale = 1 / n;
+  for (let tau = 0; tau <= maxTau; tau++) acf[tau] = re[tau] * scale;
+}
+
+// ---- YIN (de Cheveigné & Kawahara, 2002) ----
+// Steps 1-2: difference function and cumulative mean normalized difference (CMND).
+// d(tau) = sum (x[i] - x[i+tau])² = E0(tau) + E1(tau) - 2 r(tau)
+function yinCmnd(an, x, off) {
+  autocorrelate(an, x, off);
+  const { w, maxTau, sq, acf, d, cmnd } = an;
+
   d[0] = 0;
   for (let tau = 1; tau <= maxTau; tau++) {
-    let sum = 0;
-    const lim = w - tau;
-    for (let i = 0; i < lim; i++) {
-      const diff = x[off + i] - x[off + i + tau];
-      sum += diff * diff;
-    }
-    d[tau] = sum;
+    const e0 = sq[w - tau];          // sum_{i < w-tau} x[i]²
+    const e1 = sq[w] - sq[tau];      // sum_{tau <= i < w} x[i]²
+    d[tau] = Math.max(0, e0 + e1 - 2 * acf[tau]);
   }
 
-  // 2) Cumulative mean normalized difference CMND
-  const cmnd = new Float32Array(maxTau + 1);
   cmnd[0] = 1;
   let cum = 0;
   for (let tau = 1; tau <= maxTau; tau++) {
     cum += d[tau];
     cmnd[tau] = d[tau] * tau / (cum || 1);
   }
+  return cmnd;
+}
+
+function yinPitch(an, x, off, sr, tauMin, threshold = 0.1) {
+  const cmnd = yinCmnd(an, x, off);
+  const maxTau = an.maxTau;
 
-  // 3) Absolute threshold
-  const threshold = 0.1; // typical YIN threshold
+  // 3) Absolute threshold (typical YIN threshold: 0.1)
   let tau = tauMin;
+  let minCmnd = 1;
   for (; tau <= maxTau; tau++) {
+    if (cmnd[tau] < minCmnd) minCmnd = cmnd[tau];
     if (cmnd[tau] < threshold) {
       // pick local minimum around tau
       while (tau + 1 <= maxTau && cmnd[tau + 1] < cmnd[tau]) tau++;
       break;
     }
   }
-  if (tau > maxTau) return 0; // unvoiced
+  if (tau > maxTau) {
+    an.confidence = clamp01(1 - minCmnd); // unvoiced: best periodicity seen
+    return 0;
+  }
+  an.confidence = clamp01(1 - cmnd[tau]);
 
   // 4) Parabolic interpolation around tau for better precision
   const tauL = Math.max(tauMin, tau - 1);
@@ -146,43 +605,32 @@ function yinPitch(x, off, w, sr, tauMin, tauMax) {
 }
 
 // ---- McLeod Pitch Method (MPM) ----
-function mpmPitch(x, off, w, sr, tauMin, tauMax) {
-  // McLeod combines NSDF (normalized squared difference) and peak picking
-  const maxTau = Math.min(tauMax, w - 1);
-  const nsdf = new Float32Array(maxTau + 1);
+// NSDF(tau) = 2 r(tau) / (E0(tau) + E1(tau)), same autocorrelation as YIN
+function mpmNsdf(an, x, off) {
+  autocorrelate(an, x, off);
+  const { w, maxTau, sq, acf, nsdf } = an;
   nsdf[0] = 1;
-
-  // Autocorrelation & energy terms
-  // NSDF(tau) = 2 * sum(x[i]*x[i+tau]) / (sum(x[i]^2) + sum(x[i+tau]^2))
-  // We'll compute denominator incrementally.
-  let sumSq0 = 0;
-  for (let i = 0; i < w; i++) {
-    const v = x[off + i];
-    sumSq0 += v * v;
-  }
   for (let tau = 1; tau <= maxTau; tau++) {
-    let ac = 0, sumSq1 = 0, sumSq2 = 0;
-    const lim = w - tau;
-    for (let i = 0; i < lim; i++) {
-      const a = x[off + i];
-      const b = x[off + i + tau];
-      ac += a * b;
-      sumSq1 += a * a;
-      sumSq2 += b * b;
-    }
-    const denom = sumSq1 + sumSq2;
-    nsdf[tau] = denom > 0 ? (2 * ac) / denom : 0;
+    const denom = sq[w - tau] + (sq[w] - sq[tau]);
+    nsdf[tau] = denom > 0 ? (2 * acf[tau]) / denom : 0;
   }
+  return nsdf;
+}
+
+function mpmPitch(an, x, off, sr, tauMin, cutoff = 0.3) {
+  const nsdf = mpmNsdf(an, x, off);
+  const maxTau = an.maxTau;
 
   // Peak picking in nsdf (look for the highest peak after tauMin)
   let tau = -1, maxVal = -1;
-  for (let t = tauMin; t <= maxTau - 1; t++) {
+  for (let t = Math.max(1, tauMin); t <= maxTau - 1; t++) {
     if (nsdf[t] > nsdf[t - 1] && nsdf[t] >= nsdf[t + 1] && nsdf[t] > maxVal) {
       tau = t;
       maxVal = nsdf[t];
     }
   }
-  if (tau < tauMin || maxVal < 0.3) return 0; // unvoiced-ish
+  an.confidence = clamp01(maxVal);
+  if (tau < tauMin || maxVal < cutoff) return 0; // unvoiced-ish
 
   // Parabolic interpolate around tau for sub-sample precision
   const tauL = Math.max(tauMin, tau - 1);
@@ -195,3 +643,298 @@ function mpmPitch(x, off, w, sr, tauMin, tauMax) {
   const f0 = sr / tauRefined;
   return isFinite(f0) && f0 > 0 ? f0 : 0;
 }
+
+// ---- Onset detection ----
+// Features per pitch frame: half-wave rectified log-magnitude spectral flux, rectified
+// log-energy rise and the short-window level in dB (an absolute guard in pickOnsets).
+// onsetNovelty() then mixes flux (weight 0.7) and rise (0.3), each normalized to its maximum.
+function onsetWindowSize(sr) {
+  return nextPow2(Math.max(256, Math.round(sr * 0.023)));
+}
+
+const SILENCE_ENERGY = 1e-10;                      // mean-square floor of the onset level
+const SILENCE_LOG_E = Math.log10(SILENCE_ENERGY);
+
+async function onsetFeatures(x, { sr, hop, nFrames, ticker = null }) {
+  const n = onsetWindowSize(sr);
+  const bins = (n >> 1) + 1;
+  const fft = createFFT(n);
+  const re = new Float64Array(n), im = new Float64Array(n);
+  const win = new Float32Array(n);
+  for (let i = 0; i < n; i++) win[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (n - 1)));
+  let prevMag = new Float32Array(bins), mag = new Float32Array(bins);
+  const flux = new Float32Array(nFrames);
+  const rise = new Float32Array(nFrames);
+  const levelDb = new Float32Array(nFrames);
+  const GAMMA = 100; // log compression
+
+  // Frame 0 is compared against silence (zero spectrum, floor energy): a hit right at the
+  // start of the selection is an onset like any other
+  let prevLogE = SILENCE_LOG_E;
+  for (let f = 0; f < nFrames; f++) {
+    if (ticker && ticker.due()) await ticker.pause();
+    const off = f * hop;
+    let e = 0;
+    for (let i = 0; i < n; i++) {
+      const v = (x[off + i] || 0) * win[i];
+      re[i] = v; im[i] = 0;
+      e += v * v;
+    }
+    fft.forward(re, im);
+    let sf = 0;
+    for (let k = 0; k < bins; k++) {
+      mag[k] = Math.log1p(GAMMA * Math.sqrt(re[k] * re[k] + im[k] * im[k]));
+      const d = mag[k] - prevMag[k];
+      if (d > 0) sf += d;
+    }
+    [prevMag, mag] = [mag, prevMag];
+
+    const logE = Math.log10(e / n + SILENCE_ENERGY);
+    levelDb[f] = 10 * logE;
+    rise[f] = Math.max(0, logE - prevLogE);
+    prevLogE = logE;
+    flux[f] = sf;
+  }
+  return { flux, rise, levelDb };
+}
+
+function onsetNovelty(flux, rise) {
+  let maxFlux = 0, maxRise = 0;
+  for (let f = 0; f < flux.length; f++) {
+    if (flux[f] > maxFlux) maxFlux = flux[f];
+    if (rise[f] > maxRise) maxRise = rise[f];
+  }
+  const novelty = new Float32Array(flux.length);
+  for (let f = 0; f < flux.length; f++) {
+    novelty[f] = 0.7 * (maxFlux > 0 ? flux[f] / maxFlux : 0)
+               + 0.3 * (maxRise > 0 ? rise[f] / maxRise : 0);
+  }
+  return novelty;
+}
+
+// Peaks above a moving-average threshold, at least 50 ms apart, in frames above the gate.
+// Novelty is normalized, so a peak must also come with a real level rise (a few dB over
+// ~60 ms) — otherwise noise on a steady tone would count as onsets.
+function pickOnsets(novelty, { sr, hop, sensitivity = 0.5, rms, gateLin, levelDb }) {
+  const sens = Math.min(1, Math.max(0, +sensitivity || 0));
+  if (sens <= 0 || !novelty.length) return new Float32Array(0);
+
+  const hopSec = hop / sr;
+  const avgHalf = Math.max(1, Math.round(0.1 / hopSec));  // ±100 ms moving average
+  const peakHalf = Math.max(1, Math.round(0.03 / hopSec)); // ±30 ms local maximum
+  const minGap = Math.max(1, Math.round(0.05 / hopSec));
+  const delta = 0.02 + 0.3 * (1 - sens);
+  const minRiseDb = 1.5 + 6 * (1 - sens);
+  const riseBack = Math.max(1, Math.round(0.06 / hopSec));
+  const riseAhead = Math.max(1, Math.round(0.03 / hopSec));
+
+  const center = onsetWindowSize(sr) / 2;
+
+  const out = [];
+  let last = -Infinity;
+  let sum = 0, count = 0, lo = 0, hi = -1;
+  for (let i = 0; i < novelty.length; i++) {
+    // sliding window [i - avgHalf, i + avgHalf]
+    while (hi < Math.min(novelty.length - 1, i + avgHalf)) { sum += novelty[++hi]; count++; }
+    while (lo < i - avgHalf) { sum -= novelty[lo++]; count--; }
+
+    const v = novelty[i];
+    if (v < sum / count + delta) continue;
+    if (i - last < minGap) continue;
+    if (rms && rms[Math.min(rms.length - 1, i + 1)] < gateLin) continue;
+
+    let isPeak = true;
+    for (let j = Math.max(0, i - peakHalf); j <= Math.min(novelty.length - 1, i + peakHalf); j++) {
+      if (novelty[j] > v) { isPeak = false; break; }
+    }
+    if (!isPeak) continue;
+
+    if (levelDb) {
+      // Before the first frame is silence, as in onsetFeatures()
+      let before = i - riseBack < 0 ? 10 * SILENCE_LOG_E : Infinity, after = -Infinity;
+      for (let j = Math.max(0, i - riseBack); j <= i; j++) before = Math.min(before, levelDb[j]);
+      for (let j = i; j <= Math.min(levelDb.length - 1, i + riseAhead); j++) after = Math.max(after, levelDb[j]);
+      if (after - before < minRiseDb) continue;
+    }
+
+    // flux peaks when the attack reaches the middle of the STFT window
+    out.push((i * hop + center) / sr);
+    last = i;
+  }
+  return Float32Array.from(out);
+}
+
+// ---- Probabilistic YIN (Mauch & Dixon, 2014) ----
+// Stage 1: per frame, a Beta(2, 18) prior over 100 YIN thresholds turns the CMND dips
+//          into several pitch candidates with probabilities (instead of one hard pick).
+//          The prior is re-centred on yinThreshold (its mean is 0.1 by default).
+// Stage 2: an HMM over (pitch bin × voiced/unvoiced) states is decoded with Viterbi,
+//          which suppresses octave jumps and voicing chatter.
+
+const PYIN_N_THRESH = 100;
+const PYIN_BETA_A = 2;
+const PYIN_ABS_MIN_PROB = 0.01;  // weight for the global minimum when no dip is under the threshold
+const PYIN_BIN_CENTS = 20;       // HMM pitch resolution
+const PYIN_MAX_JUMP_CENTS = 250; // largest pitch move between consecutive frames
+const PYIN_VOICING_SWITCH = 0.01;
+const PYIN_YIN_TRUST = 0.5;
+const LOG_FLOOR = -1e9;
+
+const _pyinPriors = new Map(); // mean -> prior
+function pyinThresholdPrior(mean = 0.1) {
+  if (_pyinPriors.has(mean)) return _pyinPriors.get(mean);
+  // Beta(a, b) has mean a / (a + b)
+  const b = PYIN_BETA_A * (1 - mean) / mean;
+  const prior = new Float64Array(PYIN_N_THRESH);
+  let sum = 0;
+  for (let k = 0; k < PYIN_N_THRESH; k++) {
+    const s = (k + 1) / PYIN_N_THRESH - 0.005; // bin centers in (0, 1)
+    prior[k] = Math.pow(s, PYIN_BETA_A - 1) * Math.pow(1 - s, b - 1);
+    sum += prior[k];
+  }
+  for (let k = 0; k < PYIN_N_THRESH; k++) prior[k] /= sum;
+  _pyinPriors.set(mean, prior);
+  return prior;
+}
+
+// Returns [{ f0, p }] for one frame; sum(p) <= 1 is the frame's voicing probability.
+function pyinCandidates(cmnd, tauMin, sr, prior) {
+  const maxTau = cmnd.length - 1;
+
+  // Dips (local minima) in ascending tau order, plus the global minimum
+  const dips = [];
+  let globalTau = -1, globalVal = Infinity;
+  for (let tau = Math.max(tauMin, 1); tau < maxTau; tau++) {
+    const v = cmnd[tau];
+    if (v < cmnd[tau - 1] && v <= cmnd[tau + 1]) {
+      dips.push(tau);
+      if (v < globalVal) { globalVal = v; globalTau = tau; }
+    }
+  }
+  if (!dips.length) return [];
+
+  const probByTau = new Map();
+  for (let k = 0; k < PYIN_N_THRESH; k++) {
+    const thresh = (k + 1) / PYIN_N_THRESH;
+    let picked = -1;
+    for (const tau of dips) {
+      if (cmnd[tau] < thresh) { picked = tau; break; }
+    }
+    if (picked >= 0) {
+      probByTau.set(picked, (probByTau.get(picked) || 0) + prior[k]);
+    } else {
+      probByTau.set(globalTau, (probByTau.get(globalTau) || 0) + prior[k] * PYIN_ABS_MIN_PROB);
+    }
+  }
+
+  const out = [];
+  for (const [tau, p] of probByTau) {
+    const tauL = Math.max(tauMin, tau - 1);
+    const tauR = Math.min(maxTau, tau + 1);
+    const s0 = cmnd[tauL], s1 = cmnd[tau], s2 = cmnd[tauR];
+    const denom = (2 * (s0 - 2 * s1 + s2)) || 1e-9;
+    const delta = Math.max(-1, Math.min(1, (s0 - s2) / denom));
+    const f0 = sr / (tau + delta);
+    if (isFinite(f0) && f0 > 0) out.push({ f0, p });
+  }
+  return out;
+}
+
+// Stage 1 (candidates per frame, their total probability = voicing confidence) runs in
+// analyzeFrames(); this is stage 2.
+async function pyinViterbi(cands, { nFrames, fMin, fMax, ticker = null }) {
+  const nBins = Math.max(1, Math.ceil(1200 * Math.log2(fMax / fMin) / PYIN_BIN_CENTS) + 1);
+  const binOf = (f0) => Math.round(1200 * Math.log2(f0 / fMin) / PYIN_BIN_CENTS);
+  const binHz = (b) => fMin * Math.pow(2, b * PYIN_BIN_CENTS / 1200);
+
+  // Triangular pitch-transition weights over ±J bins (log domain)
+  const J = Math.max(1, Math.round(PYIN_MAX_JUMP_CENTS / PYIN_BIN_CENTS));
+  const logTrans = new Float64Array(2 * J + 1);
+  let tSum = 0;
+  for (let d = -J; d <= J; d++) tSum += J + 1 - Math.abs(d);
+  for (let d = -J; d <= J; d++) logTrans[d + J] = Math.log((J + 1 - Math.abs(d)) / tSum);
+  const logStay = Math.log(1 - PYIN_VOICING_SWITCH);
+  const logSwitch = Math.log(PYIN_VOICING_SWITCH);
+
+  // Viterbi over 2 * nBins states (voiced bins, then unvoiced bins)
+  const f0Hz = new Float32Array(nFrames);
+  if (!nFrames) return f0Hz;
+
+  // Back-pointers are state indices (a few hundred at most), so 16 bits halve the biggest
+  // allocation of a long analysis
+  const back = 2 * nBins <= 0x10000 ? new Uint16Array(nFrames * 2 * nBins) : new Uint32Array(nFrames * 2 * nBins);
+  let dV = new Float64Array(nBins), dU = new Float64Array(nBins);
+  let nV = new Float64Array(nBins), nU = new Float64Array(nBins);
+  const obsV = new Float64Array(nBins);
+
+  const fillObs = (list) => {
+    obsV.fill(0);
+    let voicedMass = 0;
+    for (const c of list) {
+      const b = binOf(c.f0);
+      if (b < 0 || b >= nBins) continue;
+      const p = c.p * PYIN_YIN_TRUST;
+      obsV[b] += p;
+      voicedMass += p;
+    }
+    return Math.log(Math.max(1e-12, (1 - voicedMass) / nBins));
+  };
+
+  // Init: uniform prior over states
+  const logInit = Math.log(1 / (2 * nBins));
+  let logObsU = fillObs(cands[0]);
+  for (let b = 0; b < nBins; b++) {
+    dV[b] = logInit + (obsV[b] > 0 ? Math.log(obsV[b]) : LOG_FLOOR);
+    dU[b] = logInit + logObsU;
+  }
+
+  for (let i = 1; i < nFrames; i++) {
+    if (ticker && ticker.due()) await ticker.pause();
+    logObsU = fillObs(cands[i]);
+    const row = i * 2 * nBins;
+    for (let b = 0; b < nBins; b++) {
+      let bestV = -Infinity, argV = 0, bestU = -Infinity, argU = 0;
+      const lo = Math.max(0, b - J), hi = Math.min(nBins - 1, b + J);
+      for (let s = lo; s <= hi; s++) {
+        const t = logTrans[b - s + J];
+        const fromV = dV[s] + t;
+        const fromU = dU[s] + t;
+        if (fromV > bestV) { bestV = fromV; argV = s; }
+        if (fromU > bestU) { bestU = fromU; argU = s; }
+      }
+      // → voiced state b
+      const vStay = bestV + logStay, vSwitch = bestU + logSwitch;
+      const oV = obsV[b] > 0 ? Math.log(obsV[b]) : LOG_FLOOR;
+      if (vStay >= vSwitch) { nV[b] = vStay + oV; back[row + b] = argV; }
+      else { nV[b] = vSwitch + oV; back[row + b] = nBins + argU; }
+      // → unvoiced state b
+      const uStay = bestU + logStay, uSwitch = bestV + logSwitch;
+      if (uStay >= uSwitch) { nU[b] = uStay + logObsU; back[row + nBins + b] = nBins + argU; }
+      else { nU[b] = uSwitch + logObsU; back[row + nBins + b] = argV; }
+    }
+    [dV, nV] = [nV, dV];
+    [dU, nU] = [nU, dU];
+  }
+
+  // Best final state, then backtrack
+  let state = 0, best = -Infinity;
+  for (let b = 0; b < nBins; b++) {
+    if (dV[b] > best) { best = dV[b]; state = b; }
+    if (dU[b] > best) { best = dU[b]; state = nBins + b; }
+  }
+  for (let i = nFrames - 1; i >= 0; i--) {
+    if (state < nBins) {
+      // Voiced: use the closest candidate's refined f0 (keeps sub-bin precision)
+      let f0 = binHz(state), bestDist = Infinity;
+      for (const c of cands[i]) {
+        const dist = Math.abs(binOf(c.f0) - state);
+        if (dist <= 1 && dist < bestDist) { bestDist = dist; f0 = c.f0; }
+      }
+      f0Hz[i] = f0;
+    } else {
+      f0Hz[i] = 0;
+    }
+    if (i > 0) state = back[i * 2 * nBins + state];
+  }
+  return f0Hz;
+}
@@ -0,0 +1,192 @@
+// /js/audio/reverb.js
+// Convolution reverb bus with procedurally generated impulse responses (no IR downloads).
+//
+// API:
+//   createReverb(context, { size = 0.5, decay = 1.8, preDelay = 0.02, damping = 0.5 }) -> reverb
+// reverb:
+//   input / output                 GainNodes (sends connect to input; output goes to the master bus)
+//   setParams({ size, decay, preDelay, damping })
+//   getParams() -> { size, decay, preDelay, damping, source: 'generated' | 'file' }
+//   await loadImpulse(fileOrArrayBuffer)   // user WAV (or any decodable audio) as the IR
+//   useGenerated()                          // drop the user IR and go back to the generated one
+//   connect(node) / disconnect() / dispose()
+//
+// Notes:
+// - The IR is exponentially decaying stereo noise with a handful of early reflections.
+//   "size" spreads the reflections and lengthens the tail, "decay" is the RT60 in seconds,
+//   "damping" makes highs die away faster than lows (0 = bright, 1 = dark).
+// - Pre-delay is a DelayNode in front of the convolver, so it also applies to user IRs
+//   and never needs a regeneration.
+// - Two convolvers are crossfaded when the IR changes, so slider moves don't click.
+
+const MAX_PRE_DELAY = 0.25; // sec
+const REGEN_DEBOUNCE_MS = 120;
+const XFADE_SEC = 0.08;
+
+export function createReverb(context, opts = {}) {
+  const params = {
+    size: clamp(opts.size ?? 0.5, 0, 1),
+    decay: clamp(opts.decay ?? 1.8, 0.1, 10),
+    preDelay: clamp(opts.preDelay ?? 0.02, 0, MAX_PRE_DELAY),
+    damping: clamp(opts.damping ?? 0.5, 0, 1),
+  };
+  let source = 'generated';
+  let regenTimer = null;
+
+  const input = context.createGain();
+  const output = context.createGain();
+  const preDelay = context.createDelay(MAX_PRE_DELAY);
+  preDelay.delayTime.value = params.preDelay;
+
+  // A/B convolvers for click-free IR swaps
+  const slots = [0, 1].map(() => {
+    const convolver = context.createConvolver();
+    convolver.normalize = true;
+    const gain = context.createGain();
+    gain.gain.value = 0;
+    preDelay.connect(convolver).connect(gain).connect(output);
+    return { convolver, gain };
+  });
+  let activeSlot = 0;
+  slots[0].gain.gain.value = 1;
+
+  input.connect(preDelay);
+
+  // initial IR
+  slots[0].convolver.buffer = generateImpulse(context, params);
+
+  function swapImpulse(buffer) {
+    const now = context.currentTime;
+    const next = 1 - activeSlot;
+    slots[next].convolver.buffer = buffer;
+    slots[next].gain.gain.cancelScheduledValues(now);
+    slots[next].gain.gain.setValueAtTime(0, now);
+    slots[next].gain.gain.linearRampToValueAtTime(1, now + XFADE_SEC);
+    const prev = slots[activeSlot].gain.gain;
+    prev.cancelScheduledValues(now);
+    prev.setValueAtTime(prev.value, now);
+    prev.linearRampToValueAtTime(0, now + XFADE_SEC);
+    activeSlot = next;
+  }
+
+  function scheduleRegenerate() {
+    if (regenTimer) clearTimeout(regenTimer);
+    regenTimer = setTimeout(() => {
+      regenTimer = null;
+      if (source === 'generated') swapImpulse(generateImpulse(context, params));
+    }, REGEN_DEBOUNCE_MS);
+  }
+
+  function setParams(next = {}) {
+    let shapeChanged = false;
+    if (typeof next.size === 'number' && next.size !== params.size) {
+      params.size = clamp(next.size, 0, 1); shapeChanged = true;
+    }
+    if (typeof next.decay === 'number' && next.decay !== params.decay) {
+      params.decay = clamp(next.decay, 0.1, 10); shapeChanged = true;
+    }
+    if (typeof next.damping === 'number' && next.damping !== params.damping) {
+      params.damping = clamp(next.damping, 0, 1); shapeChanged = true;
+    }
+    if (typeof next.preDelay === 'number') {
+      params.preDelay = clamp(next.preDelay, 0, MAX_PRE_DELAY);
+      preDelay.delayTime.setTargetAtTime(params.preDelay, context.currentTime, 0.02);
+    }
+    if (shapeChanged) scheduleRegenerate();
+  }
+
+  function getParams() {
+    return { ...params, source };
+  }
+
+  async function loadImpulse(fileOrArrayBuffer) {
+    const arrayBuf = fileOrArrayBuffer instanceof ArrayBuffer
+      ? fileOrArrayBuffer
+      : await fileOrArrayBuffer.arrayBuffer();
+    const ir = await context.decodeAudioData(arrayBuf);
+    if (!ir || ir.length < 2) throw new Error('loadImpulse: impulse response is empty');
+    source = 'file';
+    swapImpulse(ir);
+    return { duration: ir.duration, channels: ir.numberOfChannels };
+  }
+
+  function useGenerated() {
+    source = 'generated';
+    swapImpulse(generateImpulse(context, params));
+  }
+
+  function connect(node) { output.connect(node); }
+  function disconnect() { try { output.disconnect(); } catch {} }
+  function dispose() {
+    if (regenTimer) clearTimeout(regenTimer);
+    disconnect();
+    try { input.disconnect(); preDelay.disconnect(); } catch {}
+    for (const s of slots) {
+      try { s.convolver.disconnect(); s.gain.disconnect(); } catch {}
+    }
+  }
+
+  return { input, output, setParams, getParams, loadImpulse, useGenerated, connect, disconnect, dispose };
+}
+
+// -------------------- IR generation --------------------
+
+function generateImpulse(context, { size, decay, damping }) {
+  const sr = context.sampleRate;
+  // Tail length: enough for ~60 dB of decay, stretched a little by room size
+  const lengthSec = clamp(decay * (0.8 + 0.6 * size), 0.2, 12);
+  const n = Math.max(2, Math.floor(lengthSec * sr));
+  const ir = context.createBuffer(2, n, sr);
+
+  // RT60 → per-sample amplitude decay
+  const k = Math.log(1000) / (decay * sr);
+
+  // Damping: one-pole low-pass whose cutoff slides from bright to dark over the tail
+  const cutStart = 16000 - 6000 * damping;
+  const cutEnd = Math.max(400, 9000 * (1 - damping) + 400);
+
+  // Early reflections: times scale with room size
+  const erCount = 8;
+  const erSpread = 0.005 + 0.06 * size; // sec
+
+  for (let ch = 0; ch < 2; ch++) {
+    const data = ir.getChannelData(ch);
+    const rng = makeRng(0x9e3779b1 ^ (ch + 1) * 7919);
+    let lp = 0;
+
+    for (let i = 0; i < n; i++) {
+      const x = i / n;
+      const cut = cutStart + (cutEnd - cutStart) * x;
+      const a = 1 - Math.exp(-2 * Math.PI * cut / sr);
+      lp += a * (rng() * 2 - 1 - lp);
+      data[i] = lp * Math.exp(-k * i);
+    }
+
+    // Sparse early reflections on top of the diffuse tail
+    for (let r = 0; r < erCount; r++) {
+      const t = erSpread * ((r + 1) / erCount) * (0.8 + 0.4 * rng());
+      const idx = Math.floor(t * sr);
+      if (idx >= n) continue;
+      const amp = 0.6 * Math.exp(-k * idx) * (1 - r / (erCount + 2));
+      data[idx] += (rng() < 0.5 ? -1 : 1) * amp;
+    }
+
+    // Short fade-in so the direct onset doesn't click
+    const fadeN = Math.min(n, Math.floor(0.002 * sr));
+    for (let i = 0; i < fadeN; i++) data[i] *= i / fadeN;
+  }
+
+  return ir;
+}
+
+function makeRng(seed) {
+  // xorshift32, deterministic per channel so IRs are reproducible
+  let s = (seed >>> 0) || 1;
+  return () => {
+    s ^= s << 13; s ^= s >>> 17; s ^= s << 5;
+    s >>>= 0;
+    return s / 0x100000000;
+  };
+}
+
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
@@ -5,14 +5,21 @@
 // and falls back to a per-note looping BufferSource sampler if worklets aren’t available.
 //
 // API:
-//   createGranularInstrument({ audioBuffer, start, end, baseNote = 60 }) -> instrument
+//   createGranularInstrument({ audioBuffer, start, end, baseNote = 60, reverb? }) -> instrument
+//     reverb: shared reverb bus from the engine ({ input }); reverbSend feeds it
 // instrument:
 //   noteOn(midi, velocity=0.9, whenSec?)
 //   noteOff(midi, whenSec?)
+//   bend(midi, semis)               // detune a sounding note (live voice pitch bend)
 //   setParams({ attack, decay, sustain, release, transpose, formantShift, brightness, reverbMix, grainSize, overlap, jitter })
+//   getStats() -> { engine: 'worklet' | 'fallback', voices, grains, load, loadMax }
+//     load/loadMax: render time / render budget measured in the worklet, mean / peak over blocks
+//     of quanta (null for the fallback)
 //   connect(node) / disconnect() / dispose()
 
-export async function createGranularInstrument({ audioBuffer, start, end, baseNote = 60 }) {
+import { getAudioContext } from './engine.js';
+
+export async function createGranularInstrument({ audioBuffer, start, end, baseNote = 60, reverb = null }) {
   if (!audioBuffer) throw new Error('createGranularInstrument: audioBuffer is required');
 
   const context = getAudioContext();
@@ -40,12 +47,17 @@ export async function createGranularInstrument({ audioBuffer, start, end, baseNo
   const reverbSend = context.createGain();
   reverbSend.gain.value = 0.0;
 
-  // Wire: engineOut -> eq -> output + reverbSend
+  // Wire: engineOut -> eq -> output + reverbSend (-> shared reverb bus)
   const engineIn = context.createGain(); // where voices/engine will connect
   engineIn.connect(eq.input);
   eq.output.connect(outputGain);
   eq.output.connect(reverbSend);
 
+  function connectOutputs(node) {
+    outputGain.connect(node);
+    if (reverb) reverbSend.connect(reverb.input);
+  }
+
   // Live params (kept in JS)
   const params = {
     attack: 0.008,
@@ -66,13 +78,13 @@ export async function createGranularInstrument({ audioBuffer, start, end, baseNo
 
   if (engine) {
     // ---------- Worklet-based granular instrument ----------
-    // engine: { node, noteOn(id, rate, gain), noteOff(id), setParams({ tilt, brightness }), setWorkletParams({grainSize, overlap, jitter}) }
+    // engine: { node, noteOn(id, rate, gain, when), noteOff(id, when), setRate(id, rate), setParams({ tilt, brightness }), setWorkletParams({grainSize, overlap, jitter}), getStats() }
 
     const idGen = makeIdGen();
     const active = new Map(); // midi -> id
 
-    function midiToPlaybackRate(midi) {
-      const totalSemis = (midi - baseNote) + (params.transpose || 0);
+    function midiToPlaybackRate(midi, bendSemis = 0) {
+      const totalSemis = (midi - baseNote) + (params.transpose || 0) + bendSemis;
       return Math.pow(2, totalSemis / 12);
     }
 
@@ -80,8 +92,8 @@ export async function createGranularInstrument({ audioBuffer, start, end, baseNo
       if (active.has(midi)) noteOff(midi, when);
       const id = idGen();
       active.set(midi, id);
-      // Worklet starts grains continuously; we just send the voice spec
-      engine.noteOn(id, midiToPlaybackRate(midi), clamp(velocity, 0.001, 1));
+      // Worklet starts grains continuously from `when`; we just send the voice spec
+      engine.noteOn(id, midiToPlaybackRate(midi), clamp(velocity, 0.001, 1), when);
       // Update EQ (post) lightly for extra color (optional)
       updateEq(eq, params);
       reverbSend.gain.setTargetAtTime(clamp(params.reverbMix, 0, 1), context.currentTime, 0.02);
@@ -91,7 +103,13 @@ export async function createGranularInstrument({ audioBuffer, start, end, baseNo
       const id = active.get(midi);
       if (id == null) return;
       active.delete(midi);
-      engine.noteOff(id);
+      engine.noteOff(id, when);
+    }
+
+    function bend(midi, semis) {
+      const id = active.get(midi);
+      if (id == null) return;
+      engine.setRate(id, midiToPlaybackRate(midi, +semis || 0));
     }
 
     function setParams(next = {}) {
@@ -110,12 +128,17 @@ export async function createGranularInstrument({ audioBuffer, start, end, baseNo
       reverbSend.gain.setTargetAtTime(clamp(params.reverbMix, 0, 1), context.currentTime, 0.05);
     }
 
-    function connect(node) { outputGain.connect(node); }
+    function getStats() {
+      return { engine: 'worklet', ...engine.getStats() };
+    }
+
+    function connect(node) { connectOutputs(node); }
     function disconnect() { try { outputGain.disconnect(); } catch {} try { reverbSend.disconnect(); } catch {} }
     function dispose() {
       for (const m of [...active.keys()]) noteOff(m);
       disconnect();
       try { engine.node.disconnect(); } catch {}
+      engine.node.port.onmessage = null;
     }
 
     // initial param push
@@ -123,14 +146,14 @@ export async function createGranularInstrument({ audioBuffer, start, end, baseNo
     // wire node output into chain
     engine.node.connect(engineIn);
 
-    return { noteOn, noteOff, setParams, connect, disconnect, dispose };
+    return { noteOn, noteOff, bend, setParams, getStats, connect, disconnect, dispose };
   }
 
   // ---------- Fallback: per-note looping BufferSource sampler ----------
-  const voices = new Map(); // midi -> { src, gain, releaseTimer }
+  const voices = new Map(); // midi -> { src, gain, bend }
 
-  function midiToPlaybackRate(midi) {
-    const totalSemis = (midi - baseNote) + (params.transpose || 0);
+  function midiToPlaybackRate(midi, bendSemis = 0) {
+    const totalSemis = (midi - baseNote) + (params.transpose || 0) + bendSemis;
     return Math.pow(2, totalSemis / 12);
   }
 
@@ -157,7 +180,7 @@ export async function createGranularInstrument({ audioBuffer, start, end, baseNo
 
     src.start(now);
 
-    voices.set(midi, { src, gain: vGain, releaseTimer: null });
+    voices.set(midi, { src, gain: vGain, bend: 0 });
     updateEq(eq, params);
     reverbSend.gain.setTargetAtTime(clamp(params.reverbMix, 0, 1), now, 0.02);
   }
@@ -167,33 +190,45 @@ export async function createGranularInstrument({ audioBuffer, start, end, baseNo
     if (!v) return;
     const now = Math.max(context.currentTime, when);
 
-    v.gain.gain.cancelScheduledValues(now);
-    const cur = Math.max(0.00001, v.gain.gain.value);
-    v.gain.gain.setValueAtTime(cur, now);
-    v.gain.gain.exponentialRampToValueAtTime(0.00001, now + Math.max(0.01, params.release));
+    const release = Math.max(0.01, params.release);
+    holdGainAt(v.gain.gain, now, context.currentTime);
+    v.gain.gain.exponentialRampToValueAtTime(0.00001, now + release);
 
-    clearTimerSafe(v.releaseTimer);
-    v.releaseTimer = setTimeout(() => {
-      try { v.src.stop(); } catch {}
-      try { v.src.disconnect(); v.gain.disconnect(); } catch {}
-    }, Math.ceil((Math.max(0.01, params.release) + 0.05) * 1000));
+    // Stop on the audio clock: a look-ahead note-off arrives before `when`
+    const { src, gain } = v;
+    src.onended = () => {
+      try { src.disconnect(); gain.disconnect(); } catch {}
+    };
+    try { src.stop(now + release + 0.05); } catch {}
 
     voices.delete(midi);
   }
 
+  function bend(midi, semis) {
+    const v = voices.get(midi);
+    if (!v) return;
+    v.bend = +semis || 0;
+    v.src.playbackRate.setTargetAtTime(midiToPlaybackRate(midi, v.bend), context.currentTime, 0.01);
+  }
+
   function setParams(next = {}) {
     Object.assign(params, next);
     updateEq(eq, params);
     reverbSend.gain.setTargetAtTime(clamp(params.reverbMix, 0, 1), context.currentTime, 0.05);
     // Update active voices’ playbackRate to reflect transpose:
     for (const [midi, v] of voices) {
-      const rate = midiToPlaybackRate(midi);
+      const rate = midiToPlaybackRate(midi, v.bend);
       try { v.src.playbackRate.setTargetAtTime(rate, context.currentTime, 0.01); }
       catch { v.src.playbackRate.value = rate; }
     }
   }
 
-  function connect(node) { outputGain.connect(node); }
+  function getStats() {
+    // No render-time probe on the main thread; report voice counts only
+    return { engine: 'fallback', voices: voices.size, grains: 0, load: null, loadMax: null };
+  }
+
+  function connect(node) { connectOutputs(node); }
   function disconnect() { try { outputGain.disconnect(); } catch {} try { reverbSend.disconnect(); } catch {} }
   function dispose() {
     for (const [m] of voices) noteOff(m);
@@ -203,7 +238,7 @@ export async function createGranularInstrument({ audioBuffer, start, end, baseNo
   // initial param push
   setParams(params);
 
-  return { noteOn, noteOff, setParams, connect, disconnect, dispose };
+  return { noteOn, noteOff, bend, setParams, getStats, connect, disconnect, dispose };
 }
 
 // -------------------- Worklet engine wrapper --------------------
@@ -247,12 +282,22 @@ async function tryCreateWorkletEngine(context, seg, params) {
     channels.map(a => a.buffer)
   );
 
+  // Latest render stats posted by the processor
+  let stats = { voices: 0, grains: 0, load: 0, loadMax: 0, quantumMs: 128 / context.sampleRate * 1000 };
+  node.port.onmessage = (e) => {
+    const { type, payload } = e.data || {};
+    if (type === 'stats') stats = payload;
+  };
+
   // Control helpers
-  function noteOn(id, rate, gain) {
-    node.port.postMessage({ type: 'noteOn', payload: { id, rate, gain } });
+  function noteOn(id, rate, gain, when) {
+    node.port.postMessage({ type: 'noteOn', payload: { id, rate, gain, when } });
+  }
+  function noteOff(id, when) {
+    node.port.postMessage({ type: 'noteOff', payload: { id, when } });
   }
-  function noteOff(id) {
-    node.port.postMessage({ type: 'noteOff', payload: { id } });
+  function setRate(id, rate) {
+    node.port.postMessage({ type: 'setRate', payload: { id, rate } });
   }
   function setParams({ formantTilt, brightness }) {
     node.port.postMessage({ type: 'setParams', payload: { formantTilt, brightness } });
@@ -264,17 +309,13 @@ async function tryCreateWorkletEngine(context, seg, params) {
     node.parameters.get('jitter').setTargetAtTime(clamp(jitter, 0, 0.02), context.currentTime, 0.03);
   }
 
-  return { node, noteOn, noteOff, setParams, setWorkletParams };
+  function getStats() { return { ...stats }; }
+
+  return { node, noteOn, noteOff, setRate, setParams, setWorkletParams, getStats };
 }
 
 // -------------------- Shared helpers --------------------
 
-function getAudioContext() {
-  if (window.Tone && Tone.getContext) return Tone.getContext().rawContext;
-  const AC = window.AudioContext || window.webkitAudioContext;
-  return new AC();
-}
-
 function applyEdgeFades(buffer, fadeSec = 0.01) {
   const sr = buffer.sampleRate;
   const n = buffer.length;
@@ -340,4 +381,12 @@ function makeIdGen(start = 1) {
   return () => (i = (i + 1) >>> 0);
 }
 
-function clearTimerSafe(id) { if (id) try { clearTimeout(id); } catch {} }
+// Freeze an envelope at time `at` (where the release starts), keeping what's scheduled before
+function holdGainAt(param, at, now) {
+  if (at > now && param.cancelAndHoldAtTime) {
+    param.cancelAndHoldAtTime(at);
+    return;
+  }
+  param.cancelScheduledValues(at);
+  param.setValueAtTime(Math.max(0.00001, param.value), at);
+}
@@ -0,0 +1,162 @@
+// /js/audio/tempo.js
+// Tempo and beat-phase estimation from an onset envelope, plus a tap-tempo helper.
+//
+// API:
+//   estimateTempo({
+//     novelty, frameTimes, hopSec,   // per-frame onset envelope from the pitch worker (may be empty)
+//     notes = [],                     // note onsets (tOn) are added to the envelope
+//     bpm = 0,                        // > 0: tempo is given, only the first-beat offset is estimated
+//     minBpm = 60, maxBpm = 200
+//   }) -> { bpm, offsetSec, confidence, detected } | null
+//     offsetSec: time of the first beat (>= 0, within one beat of the segment start)
+//     confidence: 0..1 (normalised autocorrelation at the chosen period; 0 when bpm was given)
+//     detected: false when bpm was passed in
+//
+//   createTapTempo({ onTempo(bpm), resetMs = 2000, maxTaps = 8 }) -> { tap(), reset() }
+//     onTempo fires from the second tap on, with the median of the recent tap intervals.
+//
+// Notes:
+// - The envelope is the worker's onset novelty with an impulse at every note start, lightly
+//   smoothed so sung timing jitter of a frame or two doesn't break up the periodicity.
+// - The period is the autocorrelation peak (with half its double-period peak added, which
+//   favours the beat over sub-beats) under a log-tempo prior centred on 120 BPM, refined by
+//   parabolic interpolation. The phase is the comb offset that collects the most envelope.
+
+const PRIOR_CENTER_BPM = 120;
+const PRIOR_OCTAVES = 1;        // std-dev of the tempo prior, in octaves
+const SMOOTH_SEC = 0.02;
+const NOTE_ONSET_WEIGHT = 1;
+
+export function estimateTempo({
+  novelty,
+  frameTimes,
+  hopSec = 0.01,
+  notes = [],
+  bpm = 0,
+  minBpm = 60,
+  maxBpm = 200
+} = {}) {
+  const t0 = frameTimes && frameTimes.length ? frameTimes[0] : 0;
+  const env = onsetEnvelope({ novelty, notes, hopSec, t0 });
+  if (!env) return null;
+
+  let period, confidence = 0;
+  if (bpm > 0) {
+    period = 60 / bpm / hopSec;
+  } else {
+    const found = findPeriod(env, hopSec, minBpm, maxBpm);
+    if (!found) return null;
+    ({ period, confidence } = found);
+  }
+
+  const phase = findPhase(env, period);
+  const beatSec = period * hopSec;
+  return {
+    bpm: bpm > 0 ? bpm : Math.round(600 / beatSec) / 10,
+    offsetSec: Math.max(0, t0 + phase * hopSec) % beatSec,
+    confidence,
+    detected: !(bpm > 0),
+  };
+}
+
+export function createTapTempo({ onTempo = () => {}, resetMs = 2000, maxTaps = 8 } = {}) {
+  let taps = [];
+  function tap() {
+    const now = performance.now();
+    if (taps.length && now - taps[taps.length - 1] > resetMs) taps = [];
+    taps.push(now);
+    if (taps.length > maxTaps) taps.shift();
+    if (taps.length < 2) return;
+    const gaps = [];
+    for (let i = 1; i < taps.length; i++) gaps.push(taps[i] - taps[i - 1]);
+    gaps.sort((a, b) => a - b);
+    onTempo(Math.round(600000 / gaps[gaps.length >> 1]) / 10);
+  }
+  function reset() { taps = []; }
+  return { tap, reset };
+}
+
+// Smoothed onset envelope on the frame grid; null when there's nothing in it
+function onsetEnvelope({ novelty, notes, hopSec, t0 }) {
+  const lastOn = notes.reduce((m, n) => Math.max(m, n.tOn), 0);
+  const n = Math.max(novelty ? novelty.length : 0, Math.ceil((lastOn - t0) / hopSec) + 1);
+  if (n < 2) return null;
+  const raw = new Float32Array(n);
+  if (novelty) raw.set(novelty);
+  for (const note of notes) {
+    const i = Math.round((note.tOn - t0) / hopSec);
+    if (i >= 0 && i < n) raw[i] += NOTE_ONSET_WEIGHT;
+  }
+
+  // Gaussian smoothing
+  const sigma = Math.max(0.5, SMOOTH_SEC / hopSec);
+  const half = Math.ceil(2.5 * sigma);
+  const kernel = [];
+  for (let k = -half; k <= half; k++) kernel.push(Math.exp(-0.5 * (k / sigma) ** 2));
+  const env = new Float32Array(n);
+  let total = 0;
+  for (let i = 0; i < n; i++) {
+    let s = 0;
+    for (let k = -half; k <= half; k++) {
+      const j = i + k;
+      if (j >= 0 && j < n) s += raw[j] * kernel[k + half];
+    }
+    env[i] = s;
+    total += s;
+  }
+  return total > 0 ? env : null;
+}
+
+function findPeriod(env, hopSec, minBpm, maxBpm) {
+  const n = env.length;
+  let mean = 0;
+  for (let i = 0; i < n; i++) mean += env[i];
+  mean /= n;
+  const x = new Float32Array(n);
+  for (let i = 0; i < n; i++) x[i] = env[i] - mean;
+
+  const lagMin = Math.max(2, Math.floor(60 / maxBpm / hopSec));
+  const lagMax = Math.min(Math.ceil(60 / minBpm / hopSec), Math.floor(n / 2)); // two periods at least
+  if (lagMax <= lagMin) return null;
+
+  const acf = (lag) => {
+    let s = 0;
+    for (let i = 0; i + lag < n; i++) s += x[i] * x[i + lag];
+    return s / (n - lag);   // unbiased: long lags aren't penalised for fewer overlaps
+  };
+  const zero = acf(0);
+  if (!(zero > 0)) return null;
+
+  const score = new Float64Array(lagMax + 2);
+  for (let lag = lagMin - 1; lag <= lagMax + 1; lag++) {
+    const double = 2 * lag < n - 1 ? 0.5 * acf(2 * lag) : 0;
+    const bpm = 60 / (lag * hopSec);
+    const prior = Math.exp(-0.5 * (Math.log2(bpm / PRIOR_CENTER_BPM) / PRIOR_OCTAVES) ** 2);
+    score[lag] = (acf(lag) + double) / zero * prior;
+  }
+
+  let best = lagMin;
+  for (let lag = lagMin + 1; lag <= lagMax; lag++) if (score[lag] > score[best]) best = lag;
+  if (!(score[best] > 0)) return null;
+
+  const a = score[best - 1], b = score[best], c = score[best + 1];
+  const den = a - 2 * b + c;
+  const shift = den !== 0 ? clamp(0.5 * (a - c) / den, -0.5, 0.5) : 0;
+  return { period: best + shift, confidence: clamp(acf(best) / zero, 0, 1) };
+}
+
+// Offset (in frames, 0..period) of the beat comb that collects the most envelope
+function findPhase(env, period) {
+  const steps = Math.max(1, Math.round(period));
+  let best = 0, bestSum = -Infinity;
+  for (let s = 0; s < steps; s++) {
+    const phase = s * period / steps;
+    let sum = 0, count = 0;
+    for (let t = phase; t < env.length; t += period, count++) sum += env[Math.round(t)] || 0;
+    sum /= Math.max(1, count);   // the earliest phases get one more beat; compare means
+    if (sum > bestSum) { bestSum = sum; best = phase; }
+  }
+  return best;
+}
+
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
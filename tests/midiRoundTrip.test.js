@@ -0,0 +1,211 @@
+// /tests/midiRoundTrip.test.js
+// exportMidi() -> parseMidi() round trips: track metadata, channels, signatures, markers,
+// note timing and the RPN set-up of pitch bend and MPE.
+//
+// Run: node --test tests/
+//
+// Notes:
+// - parseMidi() reports times in seconds only, so note ticks and the controller messages
+//   are checked on the raw track events (readChannelEvents below).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportMidi } from '../pitchToMidi.js';
+import { parseMidi } from '../midiFile.js';
+
+const PPQ = 480;
+const BPM = 90;
+
+const melody = [
+  { pitch: 60, tOn: 0.1, tOff: 0.6, velocity: 0.8 },
+  { pitch: 64, tOn: 0.5, tOff: 1.2, velocity: 0.5 },
+];
+const accompaniment = [{ pitch: 48, tOn: 0, tOff: 2, velocity: 0.6 }];
+const drumHits = [
+  { pitch: 36, tOn: 0, tOff: 0.1, velocity: 1 },
+  { pitch: 38, tOn: 0.5, tOff: 0.6, velocity: 0.7 },
+];
+
+async function roundTrip(options) {
+  const bytes = new Uint8Array(await exportMidi({ ppq: PPQ, ...options }).arrayBuffer());
+  return { song: parseMidi(bytes), raw: readChannelEvents(bytes) };
+}
+
+function multiTrack(extra = {}) {
+  return roundTrip({
+    notes: melody,
+    bpm: BPM,
+    name: 'Melody',
+    instrument: 'Voice',
+    program: 52,
+    key: { tonic: 2, mode: 'major' },
+    timeSignature: { numerator: 3, denominator: 4 },
+    markers: [{ t: 0, text: 'Start' }, { t: 1, text: 'Chorus ♪' }],
+    tracks: [
+      { name: 'Accompaniment', instrument: 'Piano', program: 0, notes: accompaniment },
+      { name: 'Drums', drums: true, notes: drumHits },
+      { name: 'Live', channel: 0, program: 81, notes: melody },
+    ],
+    ...extra,
+  });
+}
+
+const ticksAt = (sec) => Math.round(sec * BPM / 60 * PPQ);
+
+test('tracks keep their names, instruments, programs and channels', async () => {
+  const { song } = await multiTrack();
+  assert.equal(song.format, 1);
+  assert.equal(song.ppq, PPQ);
+  assert.deepEqual(song.tracks.map(t => [t.name, t.instrument, t.channel]), [
+    ['Melody', 'Voice', 0],
+    ['Accompaniment', 'Piano', 1],
+    ['Drums', '', 9],
+    ['Live', '', 2],   // channel 0 is taken by the first track
+  ]);
+  assert.deepEqual(song.tracks.map(t => t.programs.map(p => [p.channel, p.program])), [
+    [[0, 52]],
+    [[1, 0]],
+    [],
+    [[2, 81]],
+  ]);
+});
+
+test('time signature, key signature and markers', async () => {
+  const { song } = await multiTrack();
+  assert.deepEqual(song.timeSignatures.map(s => [s.tick, s.numerator, s.denominator]), [[0, 3, 4]]);
+  assert.deepEqual(song.keySignatures.map(k => [k.tick, k.sf, k.mi]), [[0, 2, 0]]);
+  assert.deepEqual(song.markers.map(m => [m.tick, m.text]), [[0, 'Start'], [ticksAt(1), 'Chorus ♪']]);
+
+  const minor = await roundTrip({ notes: melody, key: { tonic: 5, mode: 'minor' } });   // F minor
+  assert.deepEqual(minor.song.keySignatures.map(k => [k.sf, k.mi]), [[-4, 1]]);
+
+  const drums = await roundTrip({ notes: drumHits, drums: true, key: { tonic: 2, mode: 'major' } });
+  assert.deepEqual(drums.song.keySignatures, []);
+  assert.equal(drums.song.tracks[0].channel, 9);
+});
+
+test('note ticks and velocities', async () => {
+  const { song, raw } = await multiTrack();
+  const expected = (notes, ch) => notes
+    .flatMap(n => [
+      [ticksAt(n.tOn), 0x90 | ch, n.pitch, Math.round(n.velocity * 127)],
+      [ticksAt(n.tOff), 0x80 | ch, n.pitch, 0],
+    ])
+    .sort((a, b) => a[0] - b[0] || (a[1] & 0xF0) - (b[1] & 0xF0));
+  const notesOf = (track) => track.filter(e => (e.status & 0xE0) === 0x80).map(e => [e.tick, e.status, ...e.data]);
+  assert.deepEqual(notesOf(raw[0]), expected(melody, 0));
+  assert.deepEqual(notesOf(raw[1]), expected(accompaniment, 1));
+  assert.deepEqual(notesOf(raw[2]), expected(drumHits, 9));
+  assert.deepEqual(notesOf(raw[3]), expected(melody, 2));
+
+  for (const [i, notes] of [melody, accompaniment, drumHits, melody].entries()) {
+    assert.deepEqual(
+      song.tracks[i].notes.map(n => [n.pitch, n.velocity]),
+      notes.map(n => [n.pitch, Math.round(n.velocity * 127) / 127]),
+    );
+  }
+});
+
+test('pitch bend writes the bend range as RPN 0 on the note channel', async () => {
+  const contour = { t: Float32Array.from([0, 0.1, 0.2]), semis: Float32Array.from([0, 0.5, -0.5]) };
+  const { raw } = await roundTrip({ notes: [{ ...melody[0], contour }], bpm: BPM, pitchBend: true, bendRange: 12, channel: 3 });
+  assert.deepEqual(rpnSettings(raw[0]), [{ ch: 3, param: 0, value: 12 }]);
+  const bends = raw[0].filter(e => (e.status & 0xF0) === 0xE0);
+  assert.ok(bends.length >= 3);
+  assert.ok(bends.every(e => (e.status & 0x0F) === 3));
+  assert.deepEqual(bends[0].data, [0, 64]);   // centred at note-on
+  assert.equal(bends[0].tick, ticksAt(melody[0].tOn));
+});
+
+test('MPE announces the lower zone and sets the bend range on every member channel used', async () => {
+  const { song, raw } = await multiTrack({ mpe: true, bendRange: 48 });
+  const rpns = rpnSettings(raw[0]);
+  // The extra tracks take the top channels and the drums channel 10, so the zone ends below it
+  assert.deepEqual(rpns[0], { ch: 0, param: 6, value: 8 });
+  const noteChannels = [...new Set(raw[0].filter(e => (e.status & 0xF0) === 0x90).map(e => e.status & 0x0F))];
+  assert.deepEqual(noteChannels, [1, 2]);   // overlapping notes get their own channels
+  assert.deepEqual(rpns.slice(1), noteChannels.map(ch => ({ ch, param: 0, value: 48 })));
+  assert.deepEqual(song.tracks.map(t => t.channel), [1, 15, 9, 14]);
+  // Programs go to every member channel of the zone
+  assert.deepEqual(song.tracks[0].programs.map(p => p.channel), Array.from({ length: 8 }, (_, i) => i + 1));
+});
+
+test('a tempo map and signature lists come back on the same ticks', async () => {
+  const tempos = [{ t: 0, bpm: 120 }, { t: 2, bpm: 90 }, { t: 4, bpm: 150 }];
+  const notes = [
+    { pitch: 60, tOn: 0.5, tOff: 1, velocity: 0.5 },
+    { pitch: 62, tOn: 2 + 2 / 3, tOff: 3, velocity: 0.8 },
+    { pitch: 64, tOn: 4.4, tOff: 5, velocity: 1 },
+  ];
+  const { song } = await roundTrip({
+    notes,
+    tempos,
+    timeSignatures: [{ t: 0, numerator: 4, denominator: 4 }, { t: 2, numerator: 3, denominator: 4 }],
+    keySignatures: [{ t: 0, sf: -1, mi: 1 }, { t: 4, sf: 2, mi: 0 }],
+  });
+  // 2 s at 120 = 4 beats, 2 s at 90 = 3 beats
+  assert.deepEqual(song.tempos.map(e => [e.tick, Math.round(e.bpm)]), [[0, 120], [1920, 90], [3360, 150]]);
+  assert.deepEqual(song.timeSignatures.map(s => [s.tick, s.numerator]), [[0, 4], [1920, 3]]);
+  assert.deepEqual(song.keySignatures.map(k => [k.tick, k.sf, k.mi]), [[0, -1, 1], [3360, 2, 0]]);
+  for (const [i, n] of notes.entries()) {
+    assert.ok(Math.abs(song.notes[i].tOn - n.tOn) < 1e-3);
+    assert.ok(Math.abs(song.notes[i].tOff - n.tOff) < 1e-3);
+  }
+
+  // ...and survive a second export of the imported song
+  const again = await roundTrip({ notes: song.notes, tempos: song.tempos, timeSignatures: song.timeSignatures });
+  assert.deepEqual(again.song.tempos.map(e => e.tick), [0, 1920, 3360]);
+  assert.deepEqual(again.song.timeSignatures.map(s => s.tick), [0, 1920]);
+});
+
+// ---- Helpers ----
+
+// Channel messages of every MTrk chunk: [[{ tick, status, data }]] (metas and sysex skipped)
+function readChannelEvents(bytes) {
+  const tracks = [];
+  let pos = 14;
+  while (pos + 8 <= bytes.length) {
+    const len = (bytes[pos + 4] << 24 | bytes[pos + 5] << 16 | bytes[pos + 6] << 8 | bytes[pos + 7]) >>> 0;
+    const end = pos + 8 + len;
+    const events = [];
+    let p = pos + 8, tick = 0, running = 0;
+    const vlq = () => {
+      let v = 0, b;
+      do { b = bytes[p++]; v = (v << 7) | (b & 0x7F); } while (b & 0x80);
+      return v;
+    };
+    while (p < end) {
+      tick += vlq();
+      if (bytes[p] === 0xFF || bytes[p] === 0xF0 || bytes[p] === 0xF7) {
+        p += bytes[p] === 0xFF ? 2 : 1;
+        const skip = vlq();
+        p += skip;
+        continue;
+      }
+      if (bytes[p] & 0x80) running = bytes[p++];
+      const size = (running & 0xE0) === 0xC0 ? 1 : 2;
+      events.push({ tick, status: running, data: [...bytes.subarray(p, p + size)] });
+      p += size;
+    }
+    tracks.push(events);
+    pos = end;
+  }
+  return tracks;
+}
+
+// RPN writes (CC101/100 select, CC6 data entry) in order: [{ ch, param, value }]
+function rpnSettings(events) {
+  const out = [];
+  const selected = new Map();   // channel -> { msb, lsb }
+  for (const e of events) {
+    if ((e.status & 0xF0) !== 0xB0) continue;
+    const ch = e.status & 0x0F;
+    const [cc, v] = e.data;
+    const sel = selected.get(ch) || {};
+    if (cc === 101) sel.msb = v;
+    else if (cc === 100) sel.lsb = v;
+    else if (cc === 6 && sel.msb === 0) out.push({ ch, param: sel.lsb, value: v });
+    selected.set(ch, sel);
+  }
+  return out;
+}
@@ -0,0 +1,67 @@
+// /tests/notation.test.js
+// Pitch spelling of the sheet-music export: scale degrees, chromatic notes and accidentals.
+//
+// Run: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spellPitch, exportAbc } from '../notation.js';
+
+const MINOR = { d: 2, g: 7, c: 0, f: 5 };
+const minor = (name) => ({ tonic: MINOR[name], mode: 'minor' });
+const spell = (midi, key, next) => {
+  const { step, alter } = spellPitch(midi, key, next);
+  return step + ['bb', 'b', '', '#', '##'][alter + 2];
+};
+
+test('minor keys raise the 6th and 7th, whichever way the melody goes', () => {
+  const cases = [
+    ['d', 71, 'B'], ['d', 61, 'C#'],
+    ['g', 64, 'E'], ['g', 66, 'F#'],
+    ['c', 69, 'A'], ['c', 71, 'B'],
+    ['f', 62, 'D'], ['f', 64, 'E'],
+  ];
+  for (const [key, midi, name] of cases) {
+    for (const next of [null, midi + 1, midi - 1]) {
+      assert.equal(spell(midi, minor(key), next), name, `${key} minor, ${midi} -> ${next}`);
+    }
+  }
+});
+
+test('minor keys keep their own degrees', () => {
+  assert.deepEqual([62, 64, 65, 67, 69, 70, 72].map(m => spell(m, minor('d'))), ['D', 'E', 'F', 'G', 'A', 'Bb', 'C']);
+  assert.deepEqual([67, 69, 70, 72, 74, 75, 77].map(m => spell(m, minor('g'))), ['G', 'A', 'Bb', 'C', 'D', 'Eb', 'F']);
+  assert.deepEqual([60, 62, 63, 65, 67, 68, 70].map(m => spell(m, minor('c'))), ['C', 'D', 'Eb', 'F', 'G', 'Ab', 'Bb']);
+  assert.deepEqual([65, 67, 68, 70, 72, 73, 75].map(m => spell(m, minor('f'))), ['F', 'G', 'Ab', 'Bb', 'C', 'Db', 'Eb']);
+});
+
+test('other chromatic notes raise the degree below going up and lower the one above going down', () => {
+  const cMajor = { tonic: 0, mode: 'major' };
+  assert.equal(spell(61, cMajor, 62), 'C#');
+  assert.equal(spell(61, cMajor, 60), 'Db');
+  assert.equal(spell(66, cMajor, 67), 'F#');
+  assert.equal(spell(70, cMajor, 69), 'Bb');
+  assert.equal(spell(63, minor('d'), 64), 'D#');
+  assert.equal(spell(63, minor('d'), 62), 'Eb');
+  assert.equal(spell(68, minor('g'), 69), 'G#');
+  assert.equal(spell(66, minor('c'), 65), 'Gb');
+  // Without a next note the key signature decides
+  assert.equal(spell(68, { tonic: 7, mode: 'major' }), 'G#');
+  assert.equal(spell(66, { tonic: 5, mode: 'major' }), 'Gb');
+  // A single accidental beats a double one: F# major's E natural, not D##
+  assert.equal(spell(64, { tonic: 6, mode: 'major' }, 65), 'E');
+});
+
+test('octaves follow the letter, not the pitch class', () => {
+  assert.deepEqual(spellPitch(60, { tonic: 1, mode: 'minor' }), { step: 'B', alter: 1, octave: 3 });   // C# minor
+  assert.deepEqual(spellPitch(71, { tonic: 1, mode: 'major' }, 70), { step: 'C', alter: -1, octave: 5 });   // Db major
+  assert.deepEqual(spellPitch(65, { tonic: 6, mode: 'major' }), { step: 'E', alter: 1, octave: 4 });   // F# major
+});
+
+test('a leading tone in minor needs no natural on the tonic after it', () => {
+  const beat = 0.5;   // quarter notes at 120 BPM
+  const notes = [62, 61, 62, 70, 71, 73, 74].map((pitch, i) => ({ pitch, tOn: i * beat, tOff: (i + 1) * beat }));
+  const abc = exportAbc({ notes, key: minor('d'), bpm: 120 });
+  const body = abc.trim().split('\n').pop();
+  assert.equal(body, 'D4 ^C4 D4 B4 | =B4 ^c4 d4 z4 |]');
+});
@@ -0,0 +1,305 @@
+// /js/audio/transport.js
+// Look-ahead note scheduler: plays, stops and loops a note list on an instrument, optionally
+// in sync with the recording the notes were extracted from (A/B comparison).
+//
+// API:
+//   createTransport({ context, destination }) -> transport   // destination: where the original audio goes
+// transport:
+//   play({
+//     notes,                    // [{ pitch, tOn, tOff, velocity }], seconds of note time
+//     synth,                    // { noteOn(midi, velocity, whenSec), noteOff(midi, whenSec) }
+//     from = 0,                 // note time to start at
+//     loop = null,              // { start, end } in note time (end is clamped to the take)
+//     rate = 1,                 // tempo multiplier (0.25..4)
+//     audio = null,             // { buffer, offset, duration }: the original; note time 0 = buffer time offset
+//     mix = 'midi'              // 'midi' | 'audio' | 'both'
+//   })
+//   stop()
+//   setRate(rate)               // applied from the look-ahead horizon on
+//   setLoop(region | null)      // jumps to region.start when playback is outside it
+//   setMix(mix)                 // A/B: instrument, original or both; switches immediately
+//   position() -> note time now | null when stopped
+//   isPlaying()
+//   onNote(cb)                  // cb(note, isOn) as notes start / stop sounding (timer-aligned)
+//   onEnd(cb)                   // playback ran to the end (stop() doesn't fire it)
+//
+// Notes:
+// - A timer ticks every TICK_MS and hands the instrument every note-on/off due in the next
+//   LOOK_AHEAD_SEC, in time order, with audio-clock times; instruments start and stop notes
+//   at those times.
+// - The clock is a list of anchors { ctx, t, rate }: a tempo change or a loop wrap adds one at
+//   the point scheduling has reached, so already scheduled notes keep their timing.
+// - Notes sounding across the loop end are released there; notes sounding across the loop
+//   start (or `from`) start at the wrap.
+// - The original plays through an AudioBufferSourceNode at playbackRate = rate, so it is pitch
+//   shifted away from 1×; it loops natively over the same region. Without audio, mix is ignored.
+
+const LOOK_AHEAD_SEC = 0.1;
+const TICK_MS = 25;
+const START_DELAY_SEC = 0.05;
+const MIN_LOOP_SEC = 0.05;
+const MIN_RATE = 0.25;
+const MAX_RATE = 4;
+const FADE_SEC = 0.01;
+
+export function createTransport({ context, destination }) {
+  const noteListeners = new Set();
+  const endListeners = new Set();
+  let run = null;
+
+  function play({ notes = [], synth, from = 0, loop = null, rate = 1, audio = null, mix = 'midi' } = {}) {
+    stop();
+    if (!synth) throw new Error('transport.play: no instrument to play on');
+    const events = [];
+    let end = audio ? audio.duration : 0;
+    for (const note of notes) {
+      if (!(note.tOff > note.tOn)) continue;
+      events.push({ t: note.tOn, on: true, note }, { t: note.tOff, on: false, note });
+      end = Math.max(end, note.tOff);
+    }
+    // Offs before ons at the same instant, so repeated pitches re-strike
+    events.sort((a, b) => a.t - b.t || a.on - b.on);
+    if (!(end > 0)) return;
+
+    run = {
+      params: { notes, synth, loop, rate, audio, mix },
+      synth,
+      events,
+      end,
+      loop: validLoop(loop, end),
+      audio,
+      mix: audio ? mix : 'midi',
+      anchors: [],
+      next: 0,
+      horizon: 0,
+      sounding: new Map(),    // note -> { at, sounded }
+      timers: new Set(),
+      source: null,
+      gain: null,
+      ending: false,
+      interval: null,
+    };
+    let t = clamp(from, 0, end);
+    if (run.loop && (t < run.loop.start || t >= run.loop.end)) t = run.loop.start;
+    const at = context.currentTime + START_DELAY_SEC;
+    run.anchors.push({ ctx: at, t, rate: clamp(rate, MIN_RATE, MAX_RATE) });
+    seek(run, t, at);
+    if (audio) startAudio(run, t, at);
+    tick();
+    run.interval = setInterval(tick, TICK_MS);
+  }
+
+  function tick() {
+    const r = run;
+    if (!r || r.ending) return;
+    const horizon = context.currentTime + LOOK_AHEAD_SEC;
+    r.horizon = horizon;
+    for (;;) {
+      const a = r.anchors[r.anchors.length - 1];
+      const tHorizon = a.t + (horizon - a.ctx) * a.rate;
+      const limit = r.loop ? r.loop.end : r.end;
+      const upTo = Math.min(tHorizon, limit);
+      while (r.next < r.events.length && r.events[r.next].t < upTo) {
+        const ev = r.events[r.next++];
+        if (ev.on) noteOn(r, ev.note, ctxOf(a, ev.t));
+        else noteOff(r, ev.note, ctxOf(a, ev.t));
+      }
+      if (tHorizon < limit) return;
+
+      const wrapAt = ctxOf(a, limit);
+      for (const note of [...r.sounding.keys()]) noteOff(r, note, wrapAt);
+      if (!r.loop) {
+        finish(r, wrapAt);
+        return;
+      }
+      r.anchors.push({ ctx: wrapAt, t: r.loop.start, rate: a.rate });
+      if (r.anchors.length > 8) r.anchors.splice(0, r.anchors.length - 8);
+      seek(r, r.loop.start, wrapAt);
+    }
+  }
+
+  // Event cursor to note time t; notes already sounding there start at ctx time `at`
+  function seek(r, t, at) {
+    let k = 0;
+    while (k < r.events.length && r.events[k].t < t) k++;
+    r.next = k;
+    for (const ev of r.events) {
+      if (ev.on && ev.note.tOn < t && ev.note.tOff > t) noteOn(r, ev.note, at);
+    }
+  }
+
+  function noteOn(r, note, at) {
+    const sounded = r.mix !== 'audio';
+    if (sounded) r.synth.noteOn(note.pitch, note.velocity ?? 0.9, at);
+    r.sounding.set(note, { at, sounded });
+    notify(r, note, true, at);
+  }
+
+  function noteOff(r, note, at) {
+    const s = r.sounding.get(note);
+    if (!s) return;
+    r.sounding.delete(note);
+    if (s.sounded) r.synth.noteOff(note.pitch, Math.max(at, s.at));
+    notify(r, note, false, at);
+  }
+
+  function notify(r, note, isOn, at) {
+    const id = setTimeout(() => {
+      r.timers.delete(id);
+      noteListeners.forEach((cb) => {
+        try { cb(note, isOn); } catch { /* noop */ }
+      });
+    }, Math.max(0, (at - context.currentTime) * 1000));
+    r.timers.add(id);
+  }
+
+  // Ran out of notes / audio: stop at ctx time `at`, then tell the listeners
+  function finish(r, at) {
+    r.ending = true;
+    clearInterval(r.interval);
+    try { r.source?.stop(at); } catch {}
+    const id = setTimeout(() => {
+      if (run !== r) return;
+      teardown(r);
+      run = null;
+      endListeners.forEach((cb) => {
+        try { cb(); } catch { /* noop */ }
+      });
+    }, Math.max(0, (at - context.currentTime) * 1000) + TICK_MS);
+    r.timers.add(id);
+  }
+
+  function stop() {
+    const r = run;
+    if (!r) return;
+    run = null;
+    const now = context.currentTime;
+    for (const [note, s] of r.sounding) {
+      // Notes whose start is already queued are released right after it
+      if (s.sounded) r.synth.noteOff(note.pitch, Math.max(now, s.at + FADE_SEC));
+      noteListeners.forEach((cb) => {
+        try { cb(note, false); } catch { /* noop */ }
+      });
+    }
+    r.sounding.clear();
+    teardown(r);
+  }
+
+  function teardown(r) {
+    clearInterval(r.interval);
+    for (const id of r.timers) clearTimeout(id);
+    r.timers.clear();
+    if (r.source) {
+      const now = context.currentTime;
+      try {
+        r.gain.gain.cancelScheduledValues(now);
+        r.gain.gain.setTargetAtTime(0, now, FADE_SEC / 3);
+        r.source.stop(now + FADE_SEC);
+      } catch {}
+      const { source, gain } = r;
+      source.onended = () => {
+        try { source.disconnect(); gain.disconnect(); } catch {}
+      };
+    }
+  }
+
+  function startAudio(r, t, at) {
+    const src = context.createBufferSource();
+    src.buffer = r.audio.buffer;
+    src.playbackRate.value = r.anchors[0].rate;
+    const g = context.createGain();
+    g.gain.value = r.mix === 'midi' ? 0 : 1;
+    src.connect(g).connect(destination);
+    r.source = src;
+    r.gain = g;
+    applyAudioLoop(r);
+    src.start(at, clamp(r.audio.offset + t, 0, r.audio.buffer.duration));
+  }
+
+  function applyAudioLoop(r) {
+    if (!r.source) return;
+    r.source.loop = !!r.loop;
+    if (r.loop) {
+      r.source.loopStart = r.audio.offset + r.loop.start;
+      r.source.loopEnd = r.audio.offset + r.loop.end;
+    }
+  }
+
+  function setRate(rate) {
+    const r = run;
+    if (!r || r.ending) return;
+    rate = clamp(rate, MIN_RATE, MAX_RATE);
+    r.params.rate = rate;
+    // From the point scheduling has reached (never before the last anchor)
+    const last = r.anchors[r.anchors.length - 1];
+    const at = Math.max(r.horizon, last.ctx, context.currentTime);
+    r.anchors.push({ ctx: at, t: timeAt(r, at), rate });
+    try { r.source?.playbackRate.setValueAtTime(rate, at); } catch {}
+  }
+
+  function setLoop(region) {
+    const r = run;
+    if (!r || r.ending) return;
+    const loop = validLoop(region, r.end);
+    const t = position();
+    if (loop && (t < loop.start || t >= loop.end)) {
+      play({ ...r.params, loop, from: loop.start });
+      return;
+    }
+    r.loop = loop;
+    r.params.loop = region;
+    applyAudioLoop(r);
+  }
+
+  function setMix(mix) {
+    const r = run;
+    if (!r) return;
+    r.params.mix = mix;
+    if (!r.audio) return;
+    r.mix = mix;
+    const now = context.currentTime;
+    try { r.gain.gain.setTargetAtTime(mix === 'midi' ? 0 : 1, now, FADE_SEC / 3); } catch {}
+    // Sounding notes follow straight away instead of at their next note-on
+    for (const [note, s] of r.sounding) {
+      const at = Math.max(now, s.at);
+      if (mix === 'audio' && s.sounded) r.synth.noteOff(note.pitch, at);
+      if (mix !== 'audio' && !s.sounded) r.synth.noteOn(note.pitch, note.velocity ?? 0.9, at);
+      s.sounded = mix !== 'audio';
+    }
+  }
+
+  function position() {
+    return run ? Math.min(run.end, timeAt(run, context.currentTime)) : null;
+  }
+
+  function timeAt(r, ctx) {
+    let a = r.anchors[0];
+    for (const b of r.anchors) if (b.ctx <= ctx) a = b;
+    return a.t + Math.max(0, ctx - a.ctx) * a.rate;
+  }
+
+  function ctxOf(a, t) {
+    return a.ctx + (t - a.t) / a.rate;
+  }
+
+  return {
+    play,
+    stop,
+    setRate,
+    setLoop,
+    setMix,
+    position,
+    isPlaying: () => !!run,
+    onNote: (cb) => { noteListeners.add(cb); return () => noteListeners.delete(cb); },
+    onEnd: (cb) => { endListeners.add(cb); return () => endListeners.delete(cb); },
+  };
+}
+
+function validLoop(region, end) {
+  if (!region) return null;
+  const start = clamp(region.start ?? 0, 0, end);
+  const stop = clamp(region.end ?? end, 0, end);
+  return stop - start >= MIN_LOOP_SEC ? { start, end: stop } : null;
+}
+
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
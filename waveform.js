@@ -1,6 +1,6 @@
 // /js/ui/waveform.js
 // Wrapper around WaveSurfer v7 + Regions plugin
-// Exposes: initWaveform(containerEl) -> { loadBuffer, onRegionChanged, getRegion, playPause, stop, zoom, setLoop, setZeroCrossSnap, setZoom }
+// Exposes: initWaveform(containerEl) -> { loadBuffer, onRegionChanged, getRegion, playPause, stop, zoom, setLoop, setZeroCrossSnap, setZoom, setCursor }
 
 export function initWaveform(containerEl) {
   if (!window.WaveSurfer) {
@@ -237,6 +237,12 @@ export function initWaveform(containerEl) {
     }
   }
 
+  // Move the cursor without playing (follows the note transport)
+  function setCursor(timeSec) {
+    if (ws.isPlaying()) return;
+    ws.setTime(Math.max(0, timeSec));
+  }
+
   function setZeroCrossSnap(enabled) {
     zeroCrossSnap = !!enabled;
     if (zeroCrossSnap && currentRegion) {
@@ -303,5 +309,6 @@ export function initWaveform(containerEl) {
     setZoom,
     setLoop,
     setZeroCrossSnap,
+    setCursor,
   };
 }